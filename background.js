@@ -3,27 +3,80 @@
  * Handles extension lifecycle and management
  */
 
+// Shared classic scripts that define ThemeResolver, ThemeCSSCompiler, ThemeSettings, ThemeHistory,
+// ThemeFormat, ThemeBackup, ThemeMigrations, ThemeStore and ThemeSync globals
+import './theme-resolver.js';
+import './css-compiler.js';
+import './theme-settings.js';
+import './theme-history.js';
+import './theme-format.js';
+import './theme-backup.js';
+import './theme-migrations.js';
+import './theme-store.js';
+import './theme-sync.js';
+
+// Scripts injected into pages, in the same order as the manifest's content_scripts entries
+const CONTENT_SCRIPT_FILES = ['theme-resolver.js', 'css-compiler.js', 'element-picker.js', 'content.js'];
+const PAGE_WORLD_SCRIPT_FILES = ['shadow-root-hook.js'];
+
+const cssCompiler = new ThemeCSSCompiler();
+
+// Every theme change from the popup and editor goes through the store
+const themeStore = new ThemeStore();
+
+// Mirrors the store to chrome.storage.sync once the user turns sync on
+const themeSync = new ThemeSync(themeStore);
+
+// Answers a theme store request with { success: true, ...result }, or with
+// { success: false, error } plus conflict and the stored theme when the
+// sender's revision was out of date
+function respondFromStore(operation, sendResponse) {
+  operation.then((result) => {
+    sendResponse(Object.assign({ success: true }, result));
+  }).catch((error) => {
+    sendResponse({ success: false, error: error.message, conflict: !!error.conflict, theme: error.theme });
+  });
+  return true;
+}
+
+// Injects the content scripts into every frame of a tab
+function injectContentScripts(tabId) {
+  return Promise.all([
+    chrome.scripting.executeScript({
+      target: { tabId: tabId, allFrames: true },
+      files: CONTENT_SCRIPT_FILES
+    }),
+    chrome.scripting.executeScript({
+      target: { tabId: tabId, allFrames: true },
+      files: PAGE_WORLD_SCRIPT_FILES,
+      world: 'MAIN'
+    })
+  ]);
+}
+
+// Extension version, as declared in the manifest
+const EXTENSION_VERSION = chrome.runtime.getManifest().version;
+
 // Extension installation handler
 chrome.runtime.onInstalled.addListener((details) => {
+  // Stored themes are upgraded to the current schema before anything else reads them
+  themeStore.migrate();
+  
   if (details.reason === 'install') {
     console.log('Theme Engine Pro installed successfully');
     
     // Set default settings
     chrome.storage.local.set({
-      version: '3.0.0',
+      version: EXTENSION_VERSION,
       installedAt: new Date().toISOString(),
-      settings: {
-        autoSave: true,
-        enableNotifications: true,
-        theme: 'dark'
-      }
+      settings: ThemeSettings.DEFAULTS
     });
   } else if (details.reason === 'update') {
-    console.log('Theme Engine Pro updated to version 3.0.0');
+    console.log(`Theme Engine Pro updated to version ${EXTENSION_VERSION}`);
     
     // Update version in storage
     chrome.storage.local.set({
-      version: '3.0.0',
+      version: EXTENSION_VERSION,
       updatedAt: new Date().toISOString()
     });
   }
@@ -32,54 +85,364 @@ chrome.runtime.onInstalled.addListener((details) => {
 // Handle extension startup
 chrome.runtime.onStartup.addListener(() => {
   console.log('Theme Engine Pro started');
+  // Pick up themes changed on other devices while the browser was closed
+  themeSync.schedule();
 });
 
 // Ensure content script is injected when tabs are updated
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url && tab.url.startsWith('http')) {
     // Inject content script if not already present
-    chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['content.js']
-    }).catch(() => {
+    injectContentScripts(tabId).catch(() => {
       // Content script might already be injected, ignore error
     });
   }
 });
 
+// Insert the resolved themes as soon as a frame commits its navigation, before
+// the page first paints. The content script takes over with its own style
+// elements and then asks for this CSS to be removed
+// Insertions still in flight, keyed by "tabId:frameId", so a release that
+// arrives early waits for the CSS it has to remove
+const pendingPrepaints = new Map();
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (!details.url.startsWith('http')) {
+    return;
+  }
+
+  const key = `${details.tabId}:${details.frameId}`;
+  // The new document starts without the previous one's fallback CSS
+  updateSessionRecords('fallbackCSS', (fallbackCSS) => {
+    delete fallbackCSS[key];
+  });
+
+  const prepaint = insertPrepaintCSS(details).finally(() => {
+    if (pendingPrepaints.get(key) === prepaint) {
+      pendingPrepaints.delete(key);
+    }
+  });
+  pendingPrepaints.set(key, prepaint);
+});
+
+// Storage keys that decide which themes a frame gets
+const PREPAINT_KEYS = ['themes', 'themeOrder', 'currentThemeId', 'isEnabled', 'blocklist'];
+
+async function insertPrepaintCSS(details) {
+  await themeStore.migrate();
+  const css = getPrepaintCSS(await chrome.storage.local.get(PREPAINT_KEYS), details.url);
+  if (!css) {
+    return;
+  }
+
+  try {
+    await chrome.scripting.insertCSS({ target: { tabId: details.tabId, frameIds: [details.frameId] }, css });
+    await rememberPrepaintCSS(details.tabId, details.frameId, details.url, css);
+  } catch (error) {
+    // Frames we can't script (e.g. the Web Store) simply stay unthemed
+  }
+}
+
+// The compiled CSS of the themes that apply to url, or '' when none do
+function getPrepaintCSS(data, url) {
+  if (!data.isEnabled || !data.themes || ThemeResolver.isBlocked(data.blocklist, url)) {
+    return '';
+  }
+
+  const layers = ThemeResolver.resolveThemeLayers(data.themes, data.themeOrder, data.currentThemeId, url);
+  const css = layers.map(theme => cssCompiler.compile(theme.css, { strategy: theme.overrideStrategy })).join('\n');
+  return css.trim() ? css : '';
+}
+
+// Single-page apps change the URL through the History API or the fragment
+// without a new document, so tell the frame to resolve its themes again
+function notifyURLChanged(details) {
+  chrome.tabs.sendMessage(details.tabId, { action: 'urlChanged', url: details.url }, { frameId: details.frameId }, () => {
+    void chrome.runtime.lastError;
+  });
+}
+
+chrome.webNavigation.onHistoryStateUpdated.addListener(notifyURLChanged);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(notifyURLChanged);
+
+// Pre-paint and fallback CSS is recorded in session storage, keyed by
+// "tabId:frameId", so it can still be removed after the service worker has
+// been restarted. Updates are queued so concurrent frames don't overwrite
+// each other's records
+let sessionRecordsQueue = Promise.resolve();
+
+function updateSessionRecords(storageKey, update) {
+  const next = sessionRecordsQueue.then(async () => {
+    const data = await chrome.storage.session.get(storageKey);
+    const records = data[storageKey] || {};
+    const result = update(records);
+    await chrome.storage.session.set({ [storageKey]: records });
+    return result;
+  });
+  sessionRecordsQueue = next.catch(() => {});
+  return next;
+}
+
+// Each record keeps the frame's URL next to the CSS so theme changes can tell
+// whether the CSS is still what the frame should get
+function rememberPrepaintCSS(tabId, frameId, url, css) {
+  return updateSessionRecords('prepaintCSS', (prepaintCSS) => {
+    prepaintCSS[`${tabId}:${frameId}`] = { url, css };
+  });
+}
+
+// Removes the pre-paint CSS of one frame once its content script has taken over
+async function releasePrepaintCSS(tabId, frameId) {
+  const key = `${tabId}:${frameId}`;
+  await pendingPrepaints.get(key);
+  await removePrepaintCSS(() => [key]);
+}
+
+// Removes the pre-paint CSS of frames whose themes now resolve to different
+// CSS. Frames where it is still current keep it until their content script
+// confirms its own styles, so they don't flash unthemed in between
+async function releaseStalePrepaintCSS() {
+  await Promise.all(pendingPrepaints.values());
+  const data = await chrome.storage.local.get(PREPAINT_KEYS);
+  await removePrepaintCSS(prepaintCSS => Object.keys(prepaintCSS)
+    .filter(key => getPrepaintCSS(data, prepaintCSS[key].url) !== prepaintCSS[key].css));
+}
+
+// Removes the records picked by selectKeys and the CSS they describe
+async function removePrepaintCSS(selectKeys) {
+  const released = await updateSessionRecords('prepaintCSS', (prepaintCSS) => {
+    return selectKeys(prepaintCSS).filter(key => prepaintCSS[key]).map(key => {
+      const css = prepaintCSS[key].css;
+      delete prepaintCSS[key];
+      return { key, css };
+    });
+  });
+
+  await Promise.all(released.map(({ key, css }) => {
+    const [keyTabId, keyFrameId] = key.split(':').map(Number);
+    return chrome.scripting.removeCSS({ target: { tabId: keyTabId, frameIds: [keyFrameId] }, css })
+      .catch(() => {
+        // The frame navigated away or closed, taking the CSS with it
+      });
+  }));
+}
+
+// Frames whose page CSP blocks the content script's style elements get their
+// themes through insertCSS instead. The content script sends the full CSS of
+// its layers on every change; updates for a frame run one at a time so each
+// removal matches the CSS that was actually inserted
+const fallbackUpdates = new Map();
+
+function setFallbackCSS(tabId, frameId, css) {
+  const key = `${tabId}:${frameId}`;
+  const update = (fallbackUpdates.get(key) || Promise.resolve()).then(async () => {
+    const previousCSS = await updateSessionRecords('fallbackCSS', (fallbackCSS) => {
+      const previous = fallbackCSS[key];
+      // An empty record still marks the frame as using the fallback
+      fallbackCSS[key] = css;
+      return previous;
+    });
+    if (previousCSS === css) {
+      return;
+    }
+
+    const target = { tabId, frameIds: [frameId] };
+    // Insert before removing so the page never shows unthemed in between
+    if (css) {
+      await chrome.scripting.insertCSS({ target, css });
+    }
+    if (previousCSS) {
+      await chrome.scripting.removeCSS({ target, css: previousCSS }).catch(() => {});
+    }
+  });
+
+  const settled = update.catch((error) => {
+    console.warn('Theme Engine: Fallback CSS update failed:', error);
+  }).finally(() => {
+    if (fallbackUpdates.get(key) === settled) {
+      fallbackUpdates.delete(key);
+    }
+  });
+  fallbackUpdates.set(key, settled);
+  return update;
+}
+
+async function getInjectionMode(tabId) {
+  const data = await chrome.storage.session.get('fallbackCSS');
+  const frames = Object.keys(data.fallbackCSS || {}).filter(key => key.startsWith(`${tabId}:`));
+  return { mode: frames.length > 0 ? 'insertCSS' : 'style', fallbackFrames: frames.length };
+}
+
+// Opens an editor for an element picked on a tab that has none connected. The
+// pick waits in session storage until the editor has loaded and claims it.
+// The picker only runs in top frames, so picks are recorded for frame 0
+async function openEditorForPick(tab, pick) {
+  const data = await chrome.storage.local.get(['themes', 'themeOrder', 'currentThemeId']);
+  const layers = ThemeResolver.resolveThemeLayers(data.themes || {}, data.themeOrder, data.currentThemeId, tab.url);
+  // The highest-priority live theme gets the rule, or the default theme when none is live
+  const theme = layers[layers.length - 1] || (data.themes || {})[data.currentThemeId];
+  if (!theme) {
+    throw new Error('Create a theme before picking elements');
+  }
+
+  await updateSessionRecords('pendingPicks', (pendingPicks) => {
+    pendingPicks[`${tab.id}:0`] = pick;
+  });
+  await chrome.windows.create({
+    url: chrome.runtime.getURL('editor.html') + `?theme=${theme.id}&tab=${tab.id}`,
+    type: 'popup',
+    width: 500,
+    height: 700
+  });
+}
+
+// Hands an editor the element picked on its tab, if one is waiting
+function takePendingPick(tabId) {
+  return updateSessionRecords('pendingPicks', (pendingPicks) => {
+    const pick = pendingPicks[`${tabId}:0`] || null;
+    delete pendingPicks[`${tabId}:0`];
+    return pick;
+  });
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  ['prepaintCSS', 'fallbackCSS', 'pendingPicks'].forEach(storageKey => {
+    updateSessionRecords(storageKey, (records) => {
+      Object.keys(records)
+        .filter(key => key.startsWith(`${tabId}:`))
+        .forEach(key => delete records[key]);
+    });
+  });
+});
+
 // Handle messages from content scripts or popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
     case 'getStatus':
-      sendResponse({ status: 'active', version: '3.0.0' });
+      sendResponse({ status: 'active', version: EXTENSION_VERSION });
       break;
       
     case 'getSettings':
       chrome.storage.local.get('settings', (data) => {
-        sendResponse(data.settings || {});
+        sendResponse(ThemeSettings.normalize(data.settings));
       });
       return true; // Keep message channel open for async response
       
     case 'updateSettings':
-      chrome.storage.local.set({ settings: request.settings }, () => {
-        sendResponse({ success: true });
-      });
-      return true;
+      // Only the given settings change; responds with all of them
+      return respondFromStore(themeStore.updateSettings(request.settings || {}), sendResponse);
       
     case 'clearData':
-      chrome.storage.local.clear(() => {
-        sendResponse({ success: true });
+      // A snapshot of the cleared data is kept, so this can be undone from the popup
+      return respondFromStore(themeStore.clear(), sendResponse);
+      
+    case 'createBackup':
+      return respondFromStore(themeStore.backup(), sendResponse);
+      
+    case 'previewRestore':
+      return respondFromStore(themeStore.restore(request, request.mode, true), sendResponse);
+      
+    case 'restoreBackup':
+      return respondFromStore(themeStore.restore(request, request.mode), sendResponse);
+      
+    case 'listSnapshots':
+      return respondFromStore(themeStore.listSnapshots(), sendResponse);
+      
+    case 'listThemes':
+      return respondFromStore(themeStore.list(), sendResponse);
+      
+    case 'createTheme':
+      return respondFromStore(themeStore.create(request.theme || {}, { activate: request.activate }), sendResponse);
+      
+    case 'updateTheme':
+      return respondFromStore(themeStore.update(request.themeId, request.patch || {}, request.revision), sendResponse);
+      
+    case 'deleteTheme':
+      return respondFromStore(themeStore.delete(request.themeId, request.revision), sendResponse);
+      
+    case 'saveDraft':
+      return respondFromStore(themeStore.saveDraft(request.themeId, request.draft, request.revision, request.baseline), sendResponse);
+      
+    case 'setActive':
+      return respondFromStore(themeStore.setActive(request.themeId), sendResponse);
+      
+    case 'setThemeOrder':
+      return respondFromStore(themeStore.setOrder(request.themeOrder), sendResponse);
+      
+    case 'getSyncStatus':
+      themeSync.getState().then(sendResponse);
+      return true;
+      
+    case 'setSyncEnabled':
+      themeSync.setEnabled(request.enabled).then(sendResponse);
+      return true;
+      
+    case 'syncNow':
+      themeSync.run().then(() => themeSync.getState()).then(sendResponse);
+      return true;
+      
+    case 'dismissSyncConflicts':
+      themeSync.dismissConflicts().then(sendResponse);
+      return true;
+      
+    case 'releasePrepaintCSS':
+      // The content script has applied its own styles for this frame
+      if (sender.tab) {
+        releasePrepaintCSS(sender.tab.id, sender.frameId).then(() => {
+          sendResponse({ success: true });
+        });
+        return true;
+      }
+      sendResponse({ success: false, error: 'Not sent from a tab' });
+      break;
+      
+    case 'setFallbackCSS':
+      // The content script's style elements are blocked by the page CSP
+      if (sender.tab) {
+        const tabId = sender.tab.id;
+        const frameId = sender.frameId;
+        setFallbackCSS(tabId, frameId, request.css || '').then(() => {
+          // The fallback now carries the theme, so the pre-paint copy can go
+          return releasePrepaintCSS(tabId, frameId);
+        }).then(() => {
+          sendResponse({ success: true });
+        }).catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      }
+      sendResponse({ success: false, error: 'Not sent from a tab' });
+      break;
+      
+    case 'elementPicked':
+      // No editor is connected to the tab the element was picked on
+      if (sender.tab) {
+        openEditorForPick(sender.tab, request.pick).then(() => {
+          sendResponse({ success: true });
+        }).catch((error) => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      }
+      sendResponse({ success: false, error: 'Not sent from a tab' });
+      break;
+      
+    case 'takePendingPick':
+      takePendingPick(request.tabId).then((pick) => {
+        sendResponse({ success: true, pick });
       });
       return true;
       
+    case 'getInjectionMode':
+      getInjectionMode(request.tabId).then(sendResponse);
+      return true;
+      
     case 'ensureContentScript':
-      // Ensure content script is injected in the current tab
+      // Ensure content script is injected in the given tab, or the current tab
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.scripting.executeScript({
-            target: { tabId: tabs[0].id },
-            files: ['content.js']
-          }).then(() => {
+        const tabId = request.tabId || (tabs[0] && tabs[0].id);
+        if (tabId) {
+          injectContentScripts(tabId).then(() => {
             sendResponse({ success: true });
           }).catch(() => {
             sendResponse({ success: false, error: 'Failed to inject content script' });
@@ -98,9 +461,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Handle storage changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'local') {
+    // Pre-paint CSS goes stale where the change affects the frame's themes;
+    // content scripts restyle those frames from the new data anyway
+    if (PREPAINT_KEYS.some(key => changes[key])) {
+      releaseStalePrepaintCSS();
+    }
+    
+    if (changes.themes) {
+      themeSync.schedule();
+    }
+    
     // Log important changes
     Object.keys(changes).forEach(key => {
       console.log(`Storage changed: ${key}`, changes[key]);
     });
+  } else if (namespace === 'sync') {
+    // Another device changed the synced themes
+    themeSync.schedule();
   }
 }); 
\ No newline at end of file
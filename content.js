@@ -9,12 +9,61 @@ if (window.themeEngineInitialized) {
 } else {
   window.themeEngineInitialized = true;
 
+// Constants are declared inside the guard so injecting the script again
+// doesn't redeclare them
+
+// Event the page-world hook (shadow-root-hook.js) fires on hosts of newly attached open shadow roots
+const SHADOW_ROOT_EVENT = 'theme-engine-shadow-root';
+
+// The cascade guard checks the theme's position at most this often, backing
+// off up to the maximum while a page keeps adding stylesheets after it
+const CASCADE_GUARD_INTERVAL = 250;
+const CASCADE_GUARD_MAX_INTERVAL = 5000;
+
+// Stylesheets a page adds after the theme, which would win cascade ties
+const PAGE_STYLESHEET_SELECTOR = 'style:not([data-theme-engine]), link[rel~="stylesheet"]';
+
 class ThemeEngineContent {
   constructor() {
-    this.styleElement = null;
-    this.currentCSS = null;
+    // Applied theme layers keyed by theme id, each with its own style element
+    this.layers = new Map();
+    // Theme ids in cascade order, lowest priority first
+    this.layerOrder = [];
+    // Editor previews keyed by theme id, shown on this tab until saved or discarded
+    this.previews = new Map();
+    this.cssCompiler = new ThemeCSSCompiler();
+    // Every frame resolves themes for its own URL; only the top frame answers
+    // messages that describe the whole tab
+    this.isTopFrame = window === window.top;
+    // Constructable stylesheet holding all layers, adopted by every open shadow root
+    this.shadowSheet = typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype
+      ? new CSSStyleSheet()
+      : null;
+    this.adoptedRoots = new WeakSet();
+    // Weak references to the adopting shadow roots, to keep the theme's sheet last in each
+    this.shadowRootRefs = [];
+    this.shadowObserver = null;
+    // Keeps the theme after stylesheets the page adds later, see setupCascadeGuard()
+    this.cascadeObserver = null;
+    this.cascadeGuardTimer = null;
+    this.cascadeGuardLastRun = 0;
+    this.cascadeGuardLastMove = 0;
+    this.cascadeGuardInterval = CASCADE_GUARD_INTERVAL;
     this.isInitialized = false;
     this.isReady = false;
+    // Whether the background's pre-paint CSS for this frame has been handed over
+    this.prepaintReleased = false;
+    // URL the current layers were resolved for
+    this.currentURL = window.location.href;
+    // 'style' while the layers' style elements work, 'insertCSS' once the page
+    // CSP has blocked them and the background injects the layers instead
+    this.injectionMode = 'style';
+    // CSS last handed to the background in 'insertCSS' mode
+    this.fallbackCSS = null;
+    this.fallbackUpdatePending = false;
+    // Open editor connections, which receive elements picked on this page
+    this.editorPorts = new Set();
+    this.elementPicker = null;
     
     this.init();
   }
@@ -27,70 +76,158 @@ class ThemeEngineContent {
 
 
   init() {
-    // Add a small delay to ensure extension context is ready
-    setTimeout(() => {
-      // Set up message listener
-      this.setupMessageListener();
-      
-      // Wait for DOM to be ready
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-          this.initializeThemeEngine();
-        });
-      } else {
-        this.initializeThemeEngine();
-      }
-    }, 50);
+    // Start right away at document_start; styles are inserted as soon as
+    // there is an element to hold them, so the page never paints unthemed
+    this.setupMessageListener();
+    this.initializeThemeEngine();
   }
 
   setupMessageListener() {
     console.log('Theme Engine: Setting up message listener...');
     
-    // Add a small delay to ensure extension context is ready
-    setTimeout(() => {
-      // Listen for messages from popup
-      if (chrome.runtime?.onMessage) {
-        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-                  // Check if extension context is still valid
-        if (!this.isExtensionContextValid()) {
-          sendResponse({ error: 'Extension context invalid' });
-          return;
+    // Listen for messages from popup
+    if (chrome.runtime?.onMessage) {
+      chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        this.handleMessage(request, sendResponse);
+      });
+
+      // The editor keeps a persistent connection to the tab it previews
+      chrome.runtime.onConnect.addListener((port) => {
+        if (port.name === 'theme-editor') {
+          this.setupEditorPort(port);
         }
-          
-          console.log('Theme Engine: Received message:', request.action);
-          
-          // Mark as ready when we receive our first message
-          this.isReady = true;
-          
-          switch (request.action) {
-            case 'applyCSS':
-              // Check if theme is enabled before applying CSS
-              this.checkAndApplyCSS(request.css);
-              sendResponse({ success: true });
-              break;
-            case 'removeCSS':
-              this.removeCSS();
-              sendResponse({ success: true });
-              break;
-            case 'ping':
-              // Simple ping to check if content script is ready
-              console.log('Theme Engine: Responding to ping');
-              sendResponse({ success: true, ready: true });
-              break;
-
-            default:
-              sendResponse({ error: 'Unknown action' });
-          }
-        });
-      } else {
-        console.warn('Theme Engine: Chrome runtime not available, message listener not set up');
+      });
+    } else {
+      console.warn('Theme Engine: Chrome runtime not available, message listener not set up');
+    }
+  }
+
+  setupEditorPort(port) {
+    this.isReady = true;
+    this.editorPorts.add(port);
+
+    port.onMessage.addListener((request) => {
+      this.handleMessage(request, (response) => {
+        port.postMessage({ requestId: request.requestId, response });
+      });
+    });
+
+    // Drop unsaved previews once the editor goes away
+    port.onDisconnect.addListener(() => {
+      this.editorPorts.delete(port);
+      if (this.previews.size > 0) {
+        this.previews.clear();
+        this.loadAndApplyCSS();
       }
-    }, 100);
+    });
+  }
+
+  handleMessage(request, sendResponse) {
+    // Check if extension context is still valid
+    if (!this.isExtensionContextValid()) {
+      sendResponse({ error: 'Extension context invalid' });
+      return;
+    }
+    
+    console.log('Theme Engine: Received message:', request.action);
+    
+    // Mark as ready when we receive our first message
+    this.isReady = true;
+    
+    // Leave tab-level queries to the top frame so its response is the one received
+    if (!this.isTopFrame && ['getAppliedThemes', 'scanPage', 'ping', 'startPicker'].includes(request.action)) {
+      return;
+    }
+    
+    switch (request.action) {
+      case 'applyCSS':
+        // Check if theme is enabled before applying CSS
+        this.checkAndApplyCSS(request.css, request.themeId);
+        sendResponse({ success: true });
+        break;
+      case 'applyLayers':
+        this.checkAndApplyLayers(request.layers);
+        sendResponse({ success: true });
+        break;
+      case 'previewCSS':
+        this.previewCSS(request.css, request.themeId);
+        sendResponse({ success: true });
+        break;
+      case 'clearPreview':
+        this.clearPreview(request.themeId);
+        sendResponse({ success: true });
+        break;
+      case 'removeCSS':
+        this.removeCSS(request.themeId);
+        sendResponse({ success: true });
+        break;
+      case 'getAppliedThemes':
+        sendResponse({ success: true, themeIds: this.layerOrder.slice() });
+        break;
+      case 'scanPage':
+        sendResponse({ success: true, data: this.scanPageVariables() });
+        break;
+      case 'startPicker':
+        this.startElementPicker();
+        sendResponse({ success: true });
+        break;
+      case 'urlChanged':
+        this.handleURLChange();
+        sendResponse({ success: true });
+        break;
+      case 'ping':
+        // Simple ping to check if content script is ready
+        console.log('Theme Engine: Responding to ping');
+        sendResponse({ success: true, ready: true, url: window.location.href, title: document.title });
+        break;
+
+      default:
+        sendResponse({ error: 'Unknown action' });
+    }
+  }
+
+  // Lets the user click an element to start a rule for it in the editor
+  startElementPicker() {
+    if (!this.elementPicker) {
+      this.elementPicker = new ThemeElementPicker({
+        onPick: (pick) => this.sendPickToEditor(pick),
+        onCancel: () => console.log('Theme Engine: Element picker cancelled')
+      });
+    }
+    this.elementPicker.start();
+  }
+
+  // Connected editors insert the rule themselves; without one, the
+  // background opens an editor that picks it up
+  sendPickToEditor(pick) {
+    console.log('Theme Engine: Picked element', pick.selector);
+
+    if (this.editorPorts.size > 0) {
+      this.editorPorts.forEach(port => {
+        try {
+          port.postMessage({ event: 'elementPicked', pick });
+        } catch (error) {
+          this.editorPorts.delete(port);
+        }
+      });
+      return;
+    }
+
+    if (this.isExtensionContextValid()) {
+      chrome.runtime.sendMessage({ action: 'elementPicked', pick }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.warn('Theme Engine: Could not open an editor for the picked element:', chrome.runtime.lastError || (response && response.error));
+        }
+      });
+    }
   }
 
   initializeThemeEngine() {
     // Apply styles on initial load
     this.loadAndApplyCSS();
+    this.setupShadowRootSupport();
+    this.setupCascadeGuard();
+    this.setupCSPDetection();
     
     // Listen for changes in storage and apply them in real-time
     if (chrome.storage?.onChanged) {
@@ -101,11 +238,10 @@ class ThemeEngineContent {
         }
         
         if (namespace === 'local') {
-          // Listen for theme changes
-          if (changes.themes || changes.currentThemeId) {
-            if (this.isReady) {
-              this.loadAndApplyCSS();
-            }
+          // Theme and exception changes apply right away in every frame, including
+          // ones no surface has messaged yet, e.g. after the popup blocks the site
+          if (changes.themes || changes.themeOrder || changes.currentThemeId || changes.blocklist) {
+            this.loadAndApplyCSS();
           }
           // Also listen for isEnabled changes to toggle theme on/off
           if (changes.isEnabled !== undefined) {
@@ -125,9 +261,24 @@ class ThemeEngineContent {
       console.warn('Theme Engine: Chrome storage not available, storage listener not set up');
     }
 
+    // Back/forward and fragment changes are visible here directly; History API
+    // navigations are reported by the background's webNavigation listener
+    window.addEventListener('popstate', () => this.handleURLChange());
+    window.addEventListener('hashchange', () => this.handleURLChange());
+
     this.isInitialized = true;
   }
 
+  // Re-resolves the layers when a single-page app has moved to another URL
+  handleURLChange() {
+    if (window.location.href === this.currentURL) {
+      return;
+    }
+
+    console.log('Theme Engine: URL changed, re-resolving themes for', window.location.href);
+    this.loadAndApplyCSS();
+  }
+
   async loadAndApplyCSS() {
     try {
       // Check if extension context is still valid
@@ -136,177 +287,396 @@ class ThemeEngineContent {
         return;
       }
       
-      const data = await this.getStorageData(['themes', 'currentThemeId', 'isEnabled']);
-      if (data.isEnabled && data.themes && data.currentThemeId && data.themes[data.currentThemeId]) {
-        const theme = data.themes[data.currentThemeId];
-        
-        // Check if theme should apply to current URL
-        if (!this.shouldApplyThemeToCurrentURL(theme)) {
-          console.log('Theme Engine: Theme not applicable to current URL, removing CSS');
-          this.removeCSS();
-          return;
+      const data = await this.getStorageData(['themes', 'themeOrder', 'currentThemeId', 'isEnabled', 'blocklist']);
+      this.currentURL = window.location.href;
+
+      // Each tab resolves its own layers from all stored themes' URL rules
+      const themes = data.isEnabled && data.themes ? this.resolveThemesForCurrentURL(data) : [];
+      const layers = this.withPreviews(themes.map(theme => ({
+        themeId: theme.id,
+        css: this.processCSS(theme.css, theme.overrideStrategy)
+      })));
+
+      if (layers.length === 0) {
+        if (data.isEnabled && ThemeResolver.isBlocked(data.blocklist, window.location.href)) {
+          console.log('Theme Engine: Theming is disabled on this site, removing CSS');
+        } else if (data.isEnabled) {
+          console.log('Theme Engine: No theme applicable to current URL, removing CSS');
         }
-        
-        const processedCSS = this.processCSS(theme.css);
-        this.applyCSS(processedCSS);
+        this.removeCSS();
+      } else {
+        this.applyLayers(layers);
       }
+
+      this.releasePrepaintCSS();
     } catch (error) {
       console.error('Theme Engine: Error loading CSS:', error);
     }
   }
 
-  async checkAndApplyCSS(css) {
+  // The background inserts the themes before first paint; once this frame's
+  // own style elements are in the document it asks for that CSS to be removed
+  releasePrepaintCSS() {
+    // In 'insertCSS' mode the background releases it once the fallback is in place
+    if (this.prepaintReleased || this.injectionMode !== 'style' || !this.isExtensionContextValid()) {
+      return;
+    }
+
+    const isPending = Array.from(this.layers.values()).some(layer => !layer.element.isConnected);
+    if (isPending) {
+      setTimeout(() => this.releasePrepaintCSS(), 50);
+      return;
+    }
+
+    this.prepaintReleased = true;
+    chrome.runtime.sendMessage({ action: 'releasePrepaintCSS' }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+
+  async checkAndApplyCSS(css, themeId) {
     try {
-      const data = await this.getStorageData(['isEnabled', 'themes', 'currentThemeId']);
+      const data = await this.getStorageData(['isEnabled', 'themes', 'themeOrder', 'currentThemeId', 'blocklist']);
       if (data.isEnabled) {
-        // Check URL matching if we have theme data
-        if (data.themes && data.currentThemeId && data.themes[data.currentThemeId]) {
-          const theme = data.themes[data.currentThemeId];
-          if (!this.shouldApplyThemeToCurrentURL(theme)) {
-            console.log('Theme Engine: Theme not applicable to current URL, removing CSS');
-            this.removeCSS();
-            return;
-          }
+        // Only apply the pushed CSS if its theme is one of the layers resolved for this URL,
+        // otherwise fall back to resolving the right layers from storage
+        const themes = data.themes ? this.resolveThemesForCurrentURL(data) : [];
+        if (!themes.some(theme => theme.id === themeId)) {
+          this.loadAndApplyCSS();
+          return;
         }
-        this.applyCSS(css);
+
+        // Replace just the pushed layer and keep the others as they are
+        this.applyLayers(this.withPreviews(themes.map(theme => {
+          if (theme.id === themeId) {
+            return { themeId, css };
+          }
+          const layer = this.layers.get(theme.id);
+          return { themeId: theme.id, css: layer ? layer.css : this.processCSS(theme.css, theme.overrideStrategy) };
+        })));
       } else {
-        // If theme is disabled, remove any existing CSS
-        this.removeCSS();
+        // If theme is disabled, remove any existing CSS except editor previews
+        this.applyLayers(this.withPreviews([]));
       }
     } catch (error) {
       console.error('Theme Engine: Error checking theme state:', error);
     }
   }
 
-  processCSS(rawCSS) {
-    // Simple approach: just add !important to all CSS rules to ensure they override webpage styles
-    // Extract CSS variables and put them in :root
-    const lines = rawCSS.split('\n');
-    const cssVariables = [];
-    const otherCSS = [];
-    
-    lines.forEach(line => {
-      const trimmedLine = line.trim();
-      if (trimmedLine && trimmedLine.startsWith('--') && trimmedLine.includes(':')) {
-        // This is a CSS variable definition
-        cssVariables.push('  ' + trimmedLine);
-      } else if (trimmedLine) {
-        // This is regular CSS
-        otherCSS.push(line);
+  async checkAndApplyLayers(layers) {
+    // Layers pushed by the popup were resolved for the tab's URL, so frames
+    // showing another URL resolve their own
+    if (!this.isTopFrame) {
+      this.loadAndApplyCSS();
+      return;
+    }
+
+    try {
+      const data = await this.getStorageData(['isEnabled', 'blocklist']);
+      const isBlocked = ThemeResolver.isBlocked(data.blocklist, window.location.href);
+      if (data.isEnabled && !isBlocked && Array.isArray(layers) && layers.length > 0) {
+        this.applyLayers(this.withPreviews(layers));
       } else {
-        // Empty line - preserve in other CSS
-        otherCSS.push(line);
+        this.applyLayers(this.withPreviews([]));
       }
-    });
-
-    // Process regular CSS to add !important
-    const processedCSS = this.addImportantToCSS(otherCSS.join('\n'));
-    
-    // Combine everything: CSS variables in :root first, then all other CSS
-    let result = '';
-    if (cssVariables.length > 0) {
-      // Use high specificity to ensure our variables override webpage variables
-      result += ':root {\n' + cssVariables.join('\n') + '\n}\n';
-      // Also add to html and body for extra specificity
-      result += 'html, body {\n' + cssVariables.join('\n') + '\n}\n\n';
+    } catch (error) {
+      console.error('Theme Engine: Error checking theme state:', error);
     }
-    if (processedCSS.trim()) {
-      result += processedCSS;
+  }
+
+  // Shows a theme's CSS on this tab regardless of its URL rules, replacing its
+  // layer in place when it is already applied or stacking it on top otherwise
+  previewCSS(css, themeId) {
+    this.previews.set(themeId, css);
+    this.applyCSS(css, themeId);
+  }
+
+  clearPreview(themeId) {
+    if (themeId) {
+      this.previews.delete(themeId);
+    } else {
+      this.previews.clear();
     }
-    
-    return result;
+    this.loadAndApplyCSS();
   }
 
-  // Removed complex element generation - let users write their own CSS rules
+  // Swaps in previewed CSS for resolved layers and stacks previews of other themes on top
+  withPreviews(layers) {
+    if (this.previews.size === 0) {
+      return layers;
+    }
 
-  addImportantToCSS(css) {
-    // Split CSS into rules
-    const rules = css.split('}');
-    const processedRules = rules.map(rule => {
-      if (!rule.trim()) return rule;
-      
-      // Split rule into selector and properties
-      const parts = rule.split('{');
-      if (parts.length !== 2) return rule;
-      
-      const selector = parts[0].trim();
-      const properties = parts[1].trim();
-      
-      if (!properties) return rule;
-      
-      // Process each property to add !important
-      const processedProperties = properties.split(';')
-        .map(property => {
-          const trimmedProperty = property.trim();
-          if (!trimmedProperty) return trimmedProperty;
-          
-          // Skip if already has !important
-          if (trimmedProperty.includes('!important')) {
-            return trimmedProperty;
-          }
-          
-          // Add !important to the property
-          return trimmedProperty + ' !important';
-        })
-        .filter(property => property) // Remove empty properties
-        .join('; ');
-      
-      return `${selector} {\n  ${processedProperties}\n}`;
+    const merged = layers.map(layer => (
+      this.previews.has(layer.themeId) ? { themeId: layer.themeId, css: this.previews.get(layer.themeId) } : layer
+    ));
+    this.previews.forEach((css, themeId) => {
+      if (!merged.some(layer => layer.themeId === themeId)) {
+        merged.push({ themeId, css });
+      }
     });
-    
-    return processedRules.join('\n');
+    return merged;
+  }
+
+  processCSS(rawCSS, strategy) {
+    // Compile theme CSS: hoist top-level variables to :root and apply the
+    // theme's override strategy so it wins over webpage styles
+    return this.cssCompiler.compile(rawCSS, { strategy });
   }
 
-  // Removed automatic CSS generation - variables are just made available in :root
+  // Applies a full set of layers in cascade order (lowest priority first),
+  // only touching layers that were added, changed or dropped
+  applyLayers(layers) {
+    const themeIds = layers.map(layer => layer.themeId);
+
+    // Drop layers that no longer apply
+    Array.from(this.layers.keys()).forEach(themeId => {
+      if (!themeIds.includes(themeId)) {
+        this.removeCSS(themeId);
+      }
+    });
+
+    const previousOrder = this.layerOrder.filter(themeId => themeIds.includes(themeId));
+    const orderChanged = previousOrder.join('\n') !== themeIds.filter(themeId => previousOrder.includes(themeId)).join('\n');
+    this.layerOrder = themeIds;
+
+    if (orderChanged) {
+      this.reorderLayers();
+    }
+
+    layers.forEach(layer => {
+      this.applyCSS(layer.css, layer.themeId);
+    });
+  }
 
-  applyCSS(css) {
+  applyCSS(css, themeId) {
     if (!css || typeof css !== 'string') {
-      this.removeCSS();
+      this.removeCSS(themeId);
       return;
     }
 
     // Don't reapply if CSS hasn't changed
-    if (this.currentCSS === css) {
+    const existingLayer = this.layers.get(themeId);
+    if (existingLayer && existingLayer.css === css) {
+      return;
+    }
+
+    // Edits that only change variable values are patched into the live sheet
+    if (existingLayer && this.updateLayerVariables(existingLayer, css)) {
+      existingLayer.css = css;
+      existingLayer.isTextStale = true;
+      this.updateShadowSheet();
       return;
     }
 
     try {
-      // Remove existing style element
-      this.removeCSS();
+      // Remove the existing style element for this layer only
+      if (existingLayer) {
+        this.detachLayer(existingLayer);
+      }
+      if (!this.layerOrder.includes(themeId)) {
+        this.layerOrder.push(themeId);
+      }
 
       // Create new style element
-      this.styleElement = document.createElement('style');
-      this.styleElement.id = 'theme-engine-style';
-      this.styleElement.setAttribute('data-theme-engine', 'true');
+      const styleElement = document.createElement('style');
+      styleElement.id = `theme-engine-style-${themeId}`;
+      styleElement.setAttribute('data-theme-engine', 'true');
+      styleElement.setAttribute('data-theme-id', themeId);
       
       // Add CSS content with error handling
-      this.styleElement.textContent = this.sanitizeCSS(css);
+      styleElement.textContent = this.sanitizeCSS(css);
+      this.layers.set(themeId, { element: styleElement, css });
       
       // Insert into document head with retry logic
-      this.insertStyleElement();
+      this.insertStyleElement(themeId);
+      this.updateShadowSheet();
+      this.updateFallbackCSS();
       
     } catch (error) {
       console.error('Theme Engine: Error applying CSS:', error);
-      this.removeCSS();
+      this.removeCSS(themeId);
     }
   }
 
-  insertStyleElement() {
-    if (document.head) {
-      document.head.appendChild(this.styleElement);
-      this.currentCSS = this.styleElement.textContent;
+  insertStyleElement(themeId) {
+    const layer = this.layers.get(themeId);
+    if (!layer || this.injectionMode !== 'style') {
+      // Layer was removed while waiting for the head, or the page blocks style elements
+      return;
+    }
+
+    const container = this.getStyleContainer();
+    if (container) {
+      // Keep cascade order by inserting before the next higher-priority layer
+      const nextLayer = this.layerOrder
+        .slice(this.layerOrder.indexOf(themeId) + 1)
+        .map(id => this.layers.get(id))
+        .find(other => other && other.element.parentNode === container);
+      container.insertBefore(layer.element, nextLayer ? nextLayer.element : null);
+      this.checkStyleElement(layer.element);
     } else {
-      // Retry after a short delay if head is not available
+      // Retry after a short delay if the document has no root element yet
       setTimeout(() => {
-        this.insertStyleElement();
+        this.insertStyleElement(themeId);
       }, 100);
     }
   }
 
-  removeCSS() {
-    if (this.styleElement && this.styleElement.parentNode) {
-      this.styleElement.parentNode.removeChild(this.styleElement);
+  // Layers share one parent to keep their order. At document_start there is
+  // usually no <head> yet, so the root element holds them
+  getStyleContainer() {
+    const placedLayer = Array.from(this.layers.values()).find(layer => layer.element.isConnected);
+    if (placedLayer) {
+      return placedLayer.element.parentNode;
+    }
+    return document.head || document.documentElement;
+  }
+
+  reorderLayers() {
+    this.layerOrder.forEach(themeId => {
+      const layer = this.layers.get(themeId);
+      if (layer && layer.element.parentNode) {
+        this.refreshLayerText(layer);
+        layer.element.parentNode.appendChild(layer.element);
+      }
+    });
+    this.updateShadowSheet();
+    this.updateFallbackCSS();
+  }
+
+  // Updates the custom properties of an applied layer in place through the
+  // CSSOM, which avoids re-parsing the sheet and restyling the whole page.
+  // Only works when the compiled CSS differs from the applied CSS in variable
+  // values alone; returns false when the layer needs a full replacement
+  updateLayerVariables(layer, css) {
+    const sheet = layer.element.sheet;
+    if (this.injectionMode !== 'style' || !layer.element.isConnected || !sheet) {
+      return false;
+    }
+
+    const oldNodes = this.cssCompiler.parse(this.sanitizeCSS(layer.css)).children;
+    const newNodes = this.cssCompiler.parse(this.sanitizeCSS(css)).children;
+    const changes = [];
+    if (!this.diffVariables(oldNodes, newNodes, [], changes)) {
+      return false;
+    }
+
+    // Find every rule first so a mismatch doesn't leave the sheet half updated
+    let rules;
+    try {
+      rules = changes.map(change => this.findCSSOMRule(sheet, change.path, oldNodes));
+    } catch (error) {
+      return false;
+    }
+    if (rules.some(rule => !rule || !rule.style)) {
+      return false;
+    }
+
+    changes.forEach((change, index) => {
+      rules[index].style.setProperty(change.property, change.value, change.important ? 'important' : '');
+    });
+    return true;
+  }
+
+  // Compares two parsed stylesheets. Returns false when anything but the value
+  // of a custom property differs, otherwise collects the changed custom
+  // properties with the path of rule indexes leading to their rule
+  diffVariables(oldNodes, newNodes, path, changes) {
+    const significant = nodes => nodes.filter(node => node.type !== 'comment');
+    const oldList = significant(oldNodes);
+    const newList = significant(newNodes);
+    if (oldList.length !== newList.length) {
+      return false;
     }
+
+    let ruleIndex = 0;
+    return oldList.every((oldNode, i) => {
+      const newNode = newList[i];
+      if (oldNode.type !== newNode.type) {
+        return false;
+      }
+
+      switch (oldNode.type) {
+        case 'declaration':
+          if (oldNode.property !== newNode.property || !!oldNode.important !== !!newNode.important) {
+            return false;
+          }
+          if (oldNode.value !== newNode.value) {
+            if (!this.cssCompiler.isCustomProperty(oldNode.property)) {
+              return false;
+            }
+            changes.push({ path, property: newNode.property, value: newNode.value, important: !!newNode.important });
+          }
+          return true;
+        case 'rule':
+          return oldNode.selector === newNode.selector &&
+            this.diffVariables(oldNode.children, newNode.children, path.concat(ruleIndex++), changes);
+        case 'atrule': {
+          // Statement at-rules such as @import are rules in the CSSOM too
+          const index = ruleIndex++;
+          if (oldNode.name !== newNode.name || oldNode.prelude !== newNode.prelude ||
+              !oldNode.children !== !newNode.children) {
+            return false;
+          }
+          return !oldNode.children ||
+            this.diffVariables(oldNode.children, newNode.children, path.concat(index), changes);
+        }
+        default:
+          return false;
+      }
+    });
+  }
+
+  // Follows a path of rule indexes through the sheet, checking at each level
+  // that the browser kept exactly the rules that were parsed
+  findCSSOMRule(sheet, path, nodes) {
+    let cssRules = sheet.cssRules;
+    let rule = null;
+    let children = nodes;
+
+    for (const index of path) {
+      const parsedRules = children.filter(node => node.type === 'rule' || node.type === 'atrule');
+      if (!cssRules || cssRules.length !== parsedRules.length) {
+        return null;
+      }
+      rule = cssRules[index];
+      children = parsedRules[index].children || [];
+      cssRules = rule.cssRules;
+    }
+
+    return rule;
+  }
+
+  // Patched layers keep their old text, which the browser would parse again if
+  // the element were moved, so the text is brought up to date first
+  refreshLayerText(layer) {
+    if (layer.isTextStale) {
+      layer.element.textContent = this.sanitizeCSS(layer.css);
+      layer.isTextStale = false;
+    }
+  }
+
+  detachLayer(layer) {
+    if (layer.element.parentNode) {
+      layer.element.parentNode.removeChild(layer.element);
+    }
+  }
+
+  // Removes a single layer, or every layer when no theme id is given
+  removeCSS(themeId) {
+    if (themeId) {
+      const layer = this.layers.get(themeId);
+      if (layer) {
+        this.detachLayer(layer);
+      }
+      this.layers.delete(themeId);
+      this.layerOrder = this.layerOrder.filter(id => id !== themeId);
+      this.updateShadowSheet();
+      this.updateFallbackCSS();
+      return;
+    }
+
+    this.layers.forEach(layer => this.detachLayer(layer));
     
     // Also remove any existing theme engine styles
     const existingStyles = document.querySelectorAll('style[data-theme-engine="true"]');
@@ -316,86 +686,389 @@ class ThemeEngineContent {
       }
     });
     
-    this.styleElement = null;
-    this.currentCSS = null;
+    this.layers.clear();
+    this.layerOrder = [];
+    this.updateShadowSheet();
+    this.updateFallbackCSS();
   }
 
-  sanitizeCSS(css) {
-    // Basic CSS sanitization to prevent XSS
-    // Remove any script tags or dangerous content
-    return css
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-      .replace(/javascript:/gi, '')
-      .replace(/expression\(/gi, '')
-      .replace(/url\(javascript:/gi, 'url(')
-      .trim();
+  // Styles in the document don't reach into shadow trees, so the layers are
+  // also adopted by every open shadow root: the ones already on the page,
+  // hosts inserted later, and roots attached to elements already on the page
+  setupShadowRootSupport() {
+    if (!this.shadowSheet) {
+      return;
+    }
+
+    this.shadowObserver = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            this.findShadowRoots(node);
+          }
+        });
+      });
+    });
+    this.shadowObserver.observe(document, { childList: true, subtree: true });
+
+    document.addEventListener(SHADOW_ROOT_EVENT, (event) => {
+      const host = event.composedPath()[0];
+      if (host && host.shadowRoot) {
+        this.findShadowRoots(host);
+      }
+    }, true);
+
+    this.findShadowRoots(document.documentElement || document);
   }
 
-  // Helper method to check if theme should apply to current URL
-  shouldApplyThemeToCurrentURL(theme) {
-    // If no websiteUrl is specified, apply to all sites
-    if (!theme.websiteUrl || theme.websiteUrl.trim() === '') {
-      return true;
+  // Adopts the shadow roots of the given element and all of its descendants
+  findShadowRoots(root) {
+    if (root.shadowRoot) {
+      this.adoptIntoShadowRoot(root.shadowRoot);
     }
-    
-    const currentUrl = window.location.href;
-    const targetUrl = theme.websiteUrl.trim();
-    
-    // Handle special cases
-    if (targetUrl.toLowerCase() === 'all sites' || targetUrl.toLowerCase() === 'for all sites') {
-      return true;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    while (walker.nextNode()) {
+      if (walker.currentNode.shadowRoot) {
+        this.adoptIntoShadowRoot(walker.currentNode.shadowRoot);
+      }
     }
-    
+  }
+
+  adoptIntoShadowRoot(shadowRoot) {
+    if (this.adoptedRoots.has(shadowRoot)) {
+      return;
+    }
+    this.adoptedRoots.add(shadowRoot);
+
     try {
-      // Parse URLs for comparison
-      const current = new URL(currentUrl);
-      
-      // If targetUrl doesn't have protocol, add https://
-      let normalizedTargetUrl = targetUrl;
-      if (!targetUrl.startsWith('http://') && !targetUrl.startsWith('https://')) {
-        normalizedTargetUrl = 'https://' + targetUrl;
+      shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, this.shadowSheet];
+    } catch (error) {
+      console.warn('Theme Engine: Could not adopt theme into shadow root:', error);
+      return;
+    }
+    if (typeof WeakRef !== 'undefined') {
+      this.shadowRootRefs.push(new WeakRef(shadowRoot));
+    }
+
+    // Watch inside the shadow tree for nested hosts, and look for ones already there
+    this.shadowObserver.observe(shadowRoot, { childList: true, subtree: true });
+    this.findShadowRoots(shadowRoot);
+  }
+
+  // The shared sheet is updated in place, so every adopting shadow root follows
+  // the current layers without being visited again
+  updateShadowSheet() {
+    if (!this.shadowSheet) {
+      return;
+    }
+
+    try {
+      this.shadowSheet.replaceSync(this.sanitizeCSS(this.getCurrentCSS()));
+    } catch (error) {
+      console.error('Theme Engine: Error updating shadow root styles:', error);
+    }
+  }
+
+  // Pages that add stylesheets after the theme (lazily loaded CSS, styles
+  // injected into <body>) would win every tie with it, and at document_start
+  // the theme is placed before <head> even exists. The guard watches for new
+  // stylesheets and removed theme styles, and moves the theme back to the end
+  setupCascadeGuard() {
+    this.cascadeObserver = new MutationObserver((mutations) => {
+      if (this.layers.size === 0) {
+        return;
       }
-      
-      const target = new URL(normalizedTargetUrl);
-      
-      // Exact URL match
-      if (current.href === target.href) {
-        return true;
+
+      const needsCheck = mutations.some(mutation =>
+        Array.from(mutation.addedNodes).some(node => this.isPageStylesheet(node)) ||
+        Array.from(mutation.removedNodes).some(node => this.isDetachedLayer(node))
+      );
+      if (needsCheck) {
+        this.scheduleCascadeCheck();
       }
-      
-      // Domain match (including subdomains)
-      if (current.hostname === target.hostname) {
-        return true;
+    });
+    this.cascadeObserver.observe(document, { childList: true, subtree: true });
+  }
+
+  isPageStylesheet(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.matches(PAGE_STYLESHEET_SELECTOR);
+  }
+
+  // Moving a layer also reports it as removed, so only layers that are gone count
+  isDetachedLayer(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-theme-engine') && !node.isConnected;
+  }
+
+  // Runs the check at most once per interval, however many mutations arrive
+  scheduleCascadeCheck() {
+    if (this.cascadeGuardTimer) {
+      return;
+    }
+
+    const wait = Math.max(0, this.cascadeGuardLastRun + this.cascadeGuardInterval - Date.now());
+    this.cascadeGuardTimer = setTimeout(() => {
+      this.cascadeGuardTimer = null;
+      this.cascadeGuardLastRun = Date.now();
+      this.enforceCascadeOrder();
+    }, wait);
+  }
+
+  enforceCascadeOrder() {
+    const movedLayers = this.keepLayersLast();
+    const movedSheets = this.keepShadowSheetsLast();
+    if (!movedLayers && !movedSheets) {
+      return;
+    }
+
+    // A page that keeps adding styles right after every move gets checked less often
+    const now = Date.now();
+    this.cascadeGuardInterval = now - this.cascadeGuardLastMove < this.cascadeGuardInterval * 4
+      ? Math.min(this.cascadeGuardInterval * 2, CASCADE_GUARD_MAX_INTERVAL)
+      : CASCADE_GUARD_INTERVAL;
+    this.cascadeGuardLastMove = now;
+  }
+
+  // Moves the layers, in cascade order, to the end of the document when a
+  // page stylesheet follows them or one of them was removed. Returns whether anything moved
+  keepLayersLast() {
+    const layers = this.layerOrder
+      .filter(themeId => this.layers.has(themeId))
+      .map(themeId => this.layers.get(themeId));
+    const elements = layers.map(layer => layer.element);
+    const root = document.documentElement;
+    if (elements.length === 0 || !root || this.injectionMode !== 'style') {
+      return false;
+    }
+
+    const pageSheets = document.querySelectorAll(PAGE_STYLESHEET_SELECTOR);
+    const lastPageSheet = pageSheets[pageSheets.length - 1];
+    const isBehind = elements.some(element => !element.isConnected) ||
+      (lastPageSheet && elements[0].compareDocumentPosition(lastPageSheet) & Node.DOCUMENT_POSITION_FOLLOWING);
+    if (!isBehind) {
+      return false;
+    }
+
+    layers.forEach(layer => this.refreshLayerText(layer));
+    elements.forEach(element => root.appendChild(element));
+    elements.forEach(element => this.checkStyleElement(element));
+    this.releasePrepaintCSS();
+    return true;
+  }
+
+  // A style element that a style-src CSP blocks is connected but gets no sheet.
+  // The violation event also catches elements blocked after the fact, e.g. by
+  // a CSP <meta> tag parsed after the layers were first inserted
+  setupCSPDetection() {
+    document.addEventListener('securitypolicyviolation', (event) => {
+      const target = event.target;
+      if (/^style-src/.test(event.effectiveDirective) && target && target.nodeType === Node.ELEMENT_NODE &&
+          target.hasAttribute('data-theme-engine')) {
+        this.switchToFallbackInjection();
       }
-      
-      // Subdomain match (e.g., theme for "example.com" should work on "www.example.com")
-      if (current.hostname.endsWith('.' + target.hostname) || 
-          target.hostname.endsWith('.' + current.hostname)) {
-        return true;
+    }, true);
+  }
+
+  checkStyleElement(element) {
+    if (element.isConnected && !element.sheet) {
+      this.switchToFallbackInjection();
+    }
+  }
+
+  // Hands the layers over to the background's insertCSS for the rest of this
+  // document. The layers keep their records here, only their elements go
+  switchToFallbackInjection() {
+    if (this.injectionMode !== 'style') {
+      return;
+    }
+
+    console.log('Theme Engine: Page CSP blocks style elements, injecting themes through the extension instead');
+    this.injectionMode = 'insertCSS';
+    this.layers.forEach(layer => this.detachLayer(layer));
+    this.updateFallbackCSS();
+  }
+
+  // Sends the layers' combined CSS to the background once per batch of changes,
+  // so applying several layers in a row makes one insertCSS round trip
+  updateFallbackCSS() {
+    if (this.injectionMode !== 'insertCSS' || this.fallbackUpdatePending) {
+      return;
+    }
+    this.fallbackUpdatePending = true;
+
+    queueMicrotask(() => {
+      this.fallbackUpdatePending = false;
+      const css = this.sanitizeCSS(this.getCurrentCSS());
+      if (css === this.fallbackCSS || !this.isExtensionContextValid()) {
+        return;
       }
-      
-      // Pattern matching with wildcards
-      if (targetUrl.includes('*')) {
-        const pattern = this.urlPatternToRegex(targetUrl);
-        return pattern.test(currentUrl);
+      this.fallbackCSS = css;
+
+      chrome.runtime.sendMessage({ action: 'setFallbackCSS', css }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          console.warn('Theme Engine: Could not inject fallback CSS:', chrome.runtime.lastError || (response && response.error));
+        }
+      });
+    });
+  }
+
+  // Pages may replace a shadow root's adopted sheets; the theme's sheet goes back at the end
+  keepShadowSheetsLast() {
+    let moved = false;
+
+    this.shadowRootRefs = this.shadowRootRefs.filter(ref => {
+      const shadowRoot = ref.deref();
+      if (!shadowRoot) {
+        return false;
       }
-      
+
+      const sheets = shadowRoot.adoptedStyleSheets;
+      if (sheets[sheets.length - 1] !== this.shadowSheet) {
+        try {
+          shadowRoot.adoptedStyleSheets = [...sheets.filter(sheet => sheet !== this.shadowSheet), this.shadowSheet];
+          moved = true;
+        } catch (error) {
+          return false;
+        }
+      }
+      return true;
+    });
+
+    return moved;
+  }
+
+  // Collects every custom property the page defines, grouped by selector,
+  // with the value as written and the value it resolves to
+  scanPageVariables() {
+    const groups = new Map();
+    let skippedSheets = 0;
+
+    // Groups are keyed by the enclosing at-rules plus the selector, so a dark
+    // mode :root doesn't overwrite the base :root values
+    const addVariable = (selector, conditions, name, value, element) => {
+      const key = [...conditions, selector].join(' ');
+      if (!groups.has(key)) {
+        groups.set(key, { selector, conditions, variables: new Map() });
+      }
+      // Later declarations win, just like the cascade
+      groups.get(key).variables.set(name, {
+        name,
+        value: value.trim(),
+        // Selectors that match nothing on the page have no resolved value
+        resolvedValue: element ? this.resolveVariableValue(name, element) : ''
+      });
+    };
+
+    const collectFromRules = (rules, conditions) => {
+      Array.from(rules).forEach(rule => {
+        if (rule.style && rule.selectorText) {
+          Array.from(rule.style).forEach(property => {
+            if (property.startsWith('--')) {
+              addVariable(rule.selectorText, conditions, property, rule.style.getPropertyValue(property), this.findElementForSelector(rule.selectorText));
+            }
+          });
+        }
+        // Descend into @media, @supports, @layer and nested rules
+        if (rule.cssRules) {
+          collectFromRules(rule.cssRules, [...conditions, ...this.getRuleCondition(rule)]);
+        }
+      });
+    };
+
+    // Disable our own layers so resolved values reflect the page's own styles
+    const ownSheets = Array.from(this.layers.values())
+      .map(layer => layer.element.sheet)
+      .filter(sheet => sheet && !sheet.disabled);
+    ownSheets.forEach(sheet => { sheet.disabled = true; });
+
+    try {
+      Array.from(document.styleSheets).forEach(sheet => {
+        if (sheet.ownerNode && sheet.ownerNode.getAttribute && sheet.ownerNode.getAttribute('data-theme-engine') === 'true') {
+          return;
+        }
+        try {
+          collectFromRules(sheet.cssRules, []);
+        } catch (error) {
+          // Cross-origin stylesheets can't be read
+          skippedSheets++;
+        }
+      });
+
+      // Inline styles on the root element
+      const rootStyle = document.documentElement.style;
+      Array.from(rootStyle).forEach(property => {
+        if (property.startsWith('--')) {
+          addVariable(':root', [], property, rootStyle.getPropertyValue(property), document.documentElement);
+        }
+      });
+    } finally {
+      ownSheets.forEach(sheet => { sheet.disabled = false; });
+    }
+
+    return {
+      url: window.location.href,
+      host: window.location.hostname,
+      skippedSheets,
+      groups: Array.from(groups.values()).map(group => ({
+        selector: group.selector,
+        conditions: group.conditions,
+        variables: Array.from(group.variables.values())
+      }))
+    };
+  }
+
+  // The at-rule prelude a grouping rule adds, e.g. "@media (prefers-color-scheme: dark)".
+  // Nested style rules add none
+  getRuleCondition(rule) {
+    if (typeof CSSMediaRule !== 'undefined' && rule instanceof CSSMediaRule) {
+      return [`@media ${rule.media.mediaText}`];
+    }
+    if (typeof CSSSupportsRule !== 'undefined' && rule instanceof CSSSupportsRule) {
+      return [`@supports ${rule.conditionText}`];
+    }
+    if (typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule) {
+      return [`@layer${rule.name ? ' ' + rule.name : ''}`];
+    }
+    if (typeof CSSContainerRule !== 'undefined' && rule instanceof CSSContainerRule) {
+      return [`@container ${rule.conditionText}`];
+    }
+    return [];
+  }
+
+  findElementForSelector(selectorText) {
+    try {
+      return document.querySelector(selectorText);
     } catch (error) {
-      console.warn('Theme Engine: Error parsing URLs for matching:', error);
-      // Fall back to simple string matching
-      return currentUrl.includes(targetUrl) || targetUrl.includes(current.hostname);
+      return null;
     }
-    
-    return false;
   }
-  
-  // Helper method to convert URL pattern with wildcards to regex
-  urlPatternToRegex(pattern) {
-    // Escape special regex characters except *
-    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-    // Convert * to regex wildcard
-    const regexPattern = escaped.replace(/\*/g, '.*');
-    return new RegExp('^' + regexPattern + '$', 'i');
+
+  resolveVariableValue(name, element) {
+    try {
+      return getComputedStyle(element).getPropertyValue(name).trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  sanitizeCSS(css) {
+    // Basic CSS sanitization to prevent XSS
+    // Remove any script tags or dangerous content
+    return css
+      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+      .replace(/javascript:/gi, '')
+      .replace(/expression\(/gi, '')
+      .replace(/url\(javascript:/gi, 'url(')
+      .trim();
+  }
+
+  // Helper method to pick the theme layers for the current URL. Sites and
+  // pages on the blocklist get none
+  resolveThemesForCurrentURL(data) {
+    if (ThemeResolver.isBlocked(data.blocklist, window.location.href)) {
+      return [];
+    }
+    return ThemeResolver.resolveThemeLayers(data.themes, data.themeOrder, data.currentThemeId, window.location.href);
   }
 
   // Helper method for Chrome storage
@@ -413,12 +1086,15 @@ class ThemeEngineContent {
 
   // Public method to check if theme engine is active
   isActive() {
-    return this.styleElement !== null && this.currentCSS !== null;
+    return this.layers.size > 0;
   }
 
-  // Public method to get current CSS
+  // Public method to get current CSS of all layers in cascade order
   getCurrentCSS() {
-    return this.currentCSS;
+    return this.layerOrder
+      .filter(themeId => this.layers.has(themeId))
+      .map(themeId => this.layers.get(themeId).css)
+      .join('\n');
   }
 
   // Public method to force refresh
@@ -430,16 +1106,9 @@ class ThemeEngineContent {
 // Initialize the content script with error handling
 let themeEngine;
 try {
-  // Add a small delay to ensure extension context is ready
-  setTimeout(() => {
-    try {
-      themeEngine = new ThemeEngineContent();
-    } catch (error) {
-      console.error('Theme Engine: Failed to initialize:', error);
-    }
-  }, 100);
+  themeEngine = new ThemeEngineContent();
 } catch (error) {
-  console.error('Theme Engine: Failed to set up initialization:', error);
+  console.error('Theme Engine: Failed to initialize:', error);
 }
 
 // Handle page visibility changes to reapply styles if needed
@@ -459,40 +1128,5 @@ document.addEventListener('visibilitychange', () => {
   }
 });
 
-// Handle dynamic content changes (for SPAs)
-let observer;
-if (typeof MutationObserver !== 'undefined') {
-  observer = new MutationObserver((mutations) => {
-    // Check if head was modified and our style was removed
-    mutations.forEach((mutation) => {
-      if (mutation.type === 'childList' && mutation.target === document.head) {
-        const removedNodes = Array.from(mutation.removedNodes);
-        const wasThemeStyleRemoved = removedNodes.some(node => 
-          node.id === 'theme-engine-style' || 
-          (node.getAttribute && node.getAttribute('data-theme-engine') === 'true')
-        );
-        
-        if (wasThemeStyleRemoved && themeEngine?.isActive()) {
-          // Check if extension context is still valid before refreshing
-          if (themeEngine.isExtensionContextValid()) {
-            // Reapply the CSS if it was removed
-            setTimeout(() => {
-              themeEngine.refresh();
-            }, 50);
-          }
-        }
-      }
-    });
-  });
-
-  // Start observing
-  if (document.head) {
-    observer.observe(document.head, {
-      childList: true,
-      subtree: false
-    });
-  }
-}
-
 // Close the initialization check
 }
\ No newline at end of file
@@ -0,0 +1,515 @@
+/*
+ * Theme Engine CSS Compiler
+ * Parses theme CSS into a small AST and compiles it for injection into web pages.
+ * Shared by the content script, popup and editor.
+ */
+
+// Prevent redeclaration when the content script is injected more than once
+if (!globalThis.ThemeCSSCompiler) {
+
+// At-rules whose blocks hold descriptors rather than style declarations;
+// !important is invalid there and would drop the whole descriptor
+const DESCRIPTOR_AT_RULES = [
+  'font-face', 'page', 'property', 'counter-style', 'font-feature-values',
+  'font-palette-values', 'viewport', 'keyframes', '-webkit-keyframes', '-moz-keyframes'
+];
+
+// Statement at-rules that must stay ahead of every other rule in the stylesheet
+const LEADING_AT_RULES = ['charset', 'import', 'namespace', 'layer'];
+
+// Ways a compiled theme can win over the page's own styles
+const OVERRIDE_STRATEGIES = {
+  important: {
+    label: 'Blanket !important',
+    description: 'Every declaration gets !important, so the theme wins over all page styles, including hover and dark mode states'
+  },
+  layer: {
+    label: 'Cascade layer',
+    description: 'Rules go in a cascade layer and lose to the page unless marked !important; top-level variables always win'
+  },
+  specificity: {
+    label: 'Specificity boost',
+    description: 'Selectors are wrapped to beat page rules of equal specificity, while page !important rules still win'
+  },
+  plain: {
+    label: 'Plain',
+    description: 'CSS is injected as written and competes with the page by normal cascade rules'
+  }
+};
+
+const DEFAULT_OVERRIDE_STRATEGY = 'important';
+
+// Layer the layer strategy puts theme rules in
+const THEME_LAYER_NAME = 'theme-engine';
+
+// Matches every element, adding one class-level of specificity
+const SPECIFICITY_BOOST = ':is(:root, :root *)';
+
+// Pseudo-elements that may still be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = /^:(before|after|first-line|first-letter)\b/i;
+
+class ThemeCSSCompiler {
+  // Splits CSS into tokens that are aware of comments, strings and url().
+  // Each token records its start and end offset in the source.
+  tokenize(css) {
+    const tokens = [];
+    const length = css.length;
+    let i = 0;
+
+    while (i < length) {
+      const start = i;
+      const char = css[i];
+      const next = css[i + 1];
+      let type;
+      let unterminated = false;
+
+      if (/\s/.test(char)) {
+        while (i < length && /\s/.test(css[i])) {
+          i++;
+        }
+        type = 'whitespace';
+      } else if (char === '/' && next === '*') {
+        const commentEnd = css.indexOf('*/', i + 2);
+        unterminated = commentEnd === -1;
+        i = unterminated ? length : commentEnd + 2;
+        type = 'comment';
+      } else if (char === '/' && next === '/' && this.isLineStart(css, i)) {
+        // Line comments are not CSS, but the editor's comment toggle writes them
+        // at the start of a line. Elsewhere, e.g. in https://, "//" is value text
+        const lineEnd = css.indexOf('\n', i);
+        i = lineEnd === -1 ? length : lineEnd;
+        type = 'comment';
+      } else if (char === '"' || char === "'") {
+        i++;
+        while (i < length && css[i] !== char && css[i] !== '\n') {
+          i += css[i] === '\\' ? 2 : 1;
+        }
+        unterminated = css[i] !== char;
+        if (!unterminated) {
+          i++;
+        }
+        type = 'string';
+      } else if (/^url\(/i.test(css.substr(i, 4)) && !/^\s*['"]/.test(css.substring(i + 4))) {
+        // Unquoted url() is a single token so "//" and ";" inside it are kept
+        const urlEnd = css.indexOf(')', i + 4);
+        unterminated = urlEnd === -1;
+        i = unterminated ? length : urlEnd + 1;
+        type = 'url';
+      } else if ('{}()[];:'.includes(char)) {
+        i++;
+        type = char;
+      } else if (char === '@') {
+        i++;
+        while (i < length && /[\w-]/.test(css[i])) {
+          i++;
+        }
+        type = 'at-keyword';
+      } else {
+        i++;
+        while (i < length && !/[\s{}()[\];:"'@]/.test(css[i]) &&
+               !(css[i] === '/' && css[i + 1] === '*')) {
+          i++;
+        }
+        type = 'word';
+      }
+
+      const token = { type, value: css.substring(start, i), start, end: i };
+      if (unterminated) {
+        token.unterminated = true;
+      }
+      tokens.push(token);
+    }
+
+    return tokens;
+  }
+
+  // Whether only whitespace precedes the offset on its line
+  isLineStart(css, offset) {
+    const lineStart = css.lastIndexOf('\n', offset - 1) + 1;
+    return /^\s*$/.test(css.substring(lineStart, offset));
+  }
+
+  // Parses CSS into a stylesheet node. Nodes are rules, at-rules,
+  // declarations, comments and invalid fragments, each with source offsets.
+  // Syntax problems are collected in `errors` rather than thrown.
+  parse(css) {
+    const state = {
+      tokens: this.tokenize(css || ''),
+      index: 0,
+      errors: []
+    };
+
+    state.tokens.forEach(token => {
+      if (token.unterminated) {
+        const kind = token.type === 'url' ? 'url()' : token.type;
+        state.errors.push({ message: `Unterminated ${kind}`, start: token.start, end: token.end });
+      }
+    });
+
+    const children = this.parseBlockContents(state, 0);
+    return { type: 'stylesheet', children, errors: state.errors };
+  }
+
+  parseBlockContents(state, depth) {
+    const children = [];
+
+    while (state.index < state.tokens.length) {
+      const token = state.tokens[state.index];
+
+      if (token.type === 'whitespace' || token.type === ';') {
+        state.index++;
+        continue;
+      }
+
+      if (token.type === 'comment') {
+        children.push({ type: 'comment', text: token.value, start: token.start, end: token.end });
+        state.index++;
+        continue;
+      }
+
+      if (token.type === '}') {
+        if (depth > 0) {
+          // The caller consumes the closing brace of its own block
+          return children;
+        }
+        state.errors.push({ message: 'Unexpected "}"', start: token.start, end: token.end });
+        state.index++;
+        continue;
+      }
+
+      if (token.type === 'at-keyword') {
+        children.push(this.parseAtRule(state, depth));
+      } else {
+        children.push(this.parseRuleOrDeclaration(state, depth));
+      }
+    }
+
+    return children;
+  }
+
+  // Collects tokens up to the next "{", ";" or "}" outside of parentheses and brackets
+  readPrelude(state) {
+    const tokens = [];
+    let nesting = 0;
+
+    while (state.index < state.tokens.length) {
+      const token = state.tokens[state.index];
+      if (nesting === 0 && (token.type === '{' || token.type === ';' || token.type === '}')) {
+        return { tokens, terminator: token };
+      }
+      if (token.type === '(' || token.type === '[') {
+        nesting++;
+      } else if ((token.type === ')' || token.type === ']') && nesting > 0) {
+        nesting--;
+      }
+      tokens.push(token);
+      state.index++;
+    }
+
+    return { tokens, terminator: null };
+  }
+
+  // Consumes a "{ ... }" block whose opening brace is the current token
+  parseBlock(state, depth, openToken) {
+    state.index++;
+    const children = this.parseBlockContents(state, depth + 1);
+    const closeToken = state.tokens[state.index];
+
+    if (closeToken && closeToken.type === '}') {
+      state.index++;
+      return { children, end: closeToken.end };
+    }
+
+    state.errors.push({ message: 'Unclosed block, missing "}"', start: openToken.start, end: openToken.end });
+    const lastToken = state.tokens[state.tokens.length - 1];
+    return { children, end: lastToken ? lastToken.end : openToken.end };
+  }
+
+  parseAtRule(state, depth) {
+    const atToken = state.tokens[state.index];
+    state.index++;
+    const prelude = this.readPrelude(state);
+    const node = {
+      type: 'atrule',
+      name: atToken.value.substring(1).toLowerCase(),
+      prelude: this.tokensToText(prelude.tokens),
+      children: null,
+      start: atToken.start,
+      end: prelude.tokens.length ? prelude.tokens[prelude.tokens.length - 1].end : atToken.end
+    };
+
+    if (prelude.terminator && prelude.terminator.type === '{') {
+      const block = this.parseBlock(state, depth, prelude.terminator);
+      node.children = block.children;
+      node.end = block.end;
+    } else if (prelude.terminator && prelude.terminator.type === ';') {
+      node.end = prelude.terminator.end;
+      state.index++;
+    }
+
+    return node;
+  }
+
+  parseRuleOrDeclaration(state, depth) {
+    const prelude = this.readPrelude(state);
+    const firstToken = prelude.tokens.find(token => token.type !== 'whitespace' && token.type !== 'comment') ||
+      prelude.tokens[0] || prelude.terminator;
+    const start = firstToken.start;
+
+    if (prelude.terminator && prelude.terminator.type === '{') {
+      const block = this.parseBlock(state, depth, prelude.terminator);
+      return {
+        type: 'rule',
+        selector: this.tokensToText(prelude.tokens),
+        children: block.children,
+        start,
+        end: block.end
+      };
+    }
+
+    const end = prelude.tokens[prelude.tokens.length - 1].end;
+    if (prelude.terminator && prelude.terminator.type === ';') {
+      state.index++;
+    }
+
+    return this.createDeclaration(prelude.tokens, start, end, state);
+  }
+
+  createDeclaration(tokens, start, end, state) {
+    const colonIndex = tokens.findIndex(token => token.type === ':');
+    if (colonIndex === -1) {
+      state.errors.push({ message: 'Expected ":" in declaration', start, end });
+      return { type: 'invalid', text: this.tokensToText(tokens), start, end };
+    }
+
+    const property = this.tokensToText(tokens.slice(0, colonIndex));
+    let value = this.tokensToText(tokens.slice(colonIndex + 1));
+    let important = false;
+
+    const importantMatch = value.match(/\s*!\s*important\s*$/i);
+    if (importantMatch) {
+      important = true;
+      value = value.substring(0, importantMatch.index).trim();
+    }
+
+    if (!property) {
+      state.errors.push({ message: 'Missing property name', start, end });
+      return { type: 'invalid', text: this.tokensToText(tokens), start, end };
+    }
+
+    const valueToken = tokens.slice(colonIndex + 1).find(token => token.type !== 'whitespace');
+    return {
+      type: 'declaration',
+      property,
+      value,
+      important,
+      start,
+      end,
+      valueStart: valueToken ? valueToken.start : tokens[colonIndex].end
+    };
+  }
+
+  // Joins tokens back into text, dropping comments and collapsing whitespace
+  // between tokens. Strings and url() values are kept exactly as written
+  tokensToText(tokens) {
+    const kept = tokens.filter(token => token.type !== 'comment');
+    return kept
+      .filter((token, index) => token.type !== 'whitespace' ||
+        (index > 0 && index < kept.length - 1 && kept[index - 1].type !== 'whitespace'))
+      .map(token => token.type === 'whitespace' ? ' ' : token.value)
+      .join('');
+  }
+
+  isCustomProperty(property) {
+    return property.startsWith('--');
+  }
+
+  // Compiles theme CSS for injection: declarations written outside of any rule
+  // are hoisted to :root, as are ones directly inside a top-level @media or
+  // @supports block, and the theme's override strategy decides how its
+  // declarations win over webpage styles (see OVERRIDE_STRATEGIES)
+  compile(rawCSS, options = {}) {
+    const strategy = OVERRIDE_STRATEGIES[options.strategy] ? options.strategy : DEFAULT_OVERRIDE_STRATEGY;
+    const ast = this.parse(rawCSS || '');
+    const leadingStatements = [];
+    const rootDeclarations = [];
+    const rules = [];
+
+    ast.children.forEach(node => {
+      if (node.type === 'declaration') {
+        rootDeclarations.push(node);
+      } else if (node.type === 'atrule' && !node.children && LEADING_AT_RULES.includes(node.name)) {
+        leadingStatements.push(node);
+      } else if (node.type === 'rule' || node.type === 'atrule') {
+        rules.push(node);
+      }
+    });
+
+    const context = {
+      important: strategy === 'important',
+      boost: strategy === 'specificity'
+    };
+
+    let body = '';
+    if (rootDeclarations.length > 0) {
+      body += this.serializeRootDeclarations(rootDeclarations, 0, context, strategy) + '\n';
+    }
+    body += rules.map(node => this.serializeTopLevelNode(node, 0, context, strategy)).join('\n');
+
+    let result = leadingStatements.map(node => this.serializeNode(node, 0, context)).join('');
+    if (strategy === 'layer') {
+      const indented = body.split('\n').map(line => line ? '  ' + line : line).join('\n');
+      result += `@layer ${THEME_LAYER_NAME} {\n${indented}}\n`;
+    } else {
+      result += body;
+    }
+    return result;
+  }
+
+  // Root declarations get the same treatment wherever they appear, so ones
+  // under a condition override the base values when the condition applies
+  serializeRootDeclarations(declarations, indent, context, strategy) {
+    // In a layer only the hoisted declarations are forced: layered !important
+    // declarations beat the page's own variables, even important ones
+    const rootContext = Object.assign({}, context, { important: context.important || strategy === 'layer' });
+    let css = this.serializeNode({ type: 'rule', selector: ':root', children: declarations }, indent, rootContext);
+
+    // Blanket important also repeats variables on html and body for extra specificity
+    const variables = declarations.filter(node => this.isCustomProperty(node.property));
+    if (strategy === 'important' && variables.length > 0) {
+      css += this.serializeNode({ type: 'rule', selector: 'html, body', children: variables }, indent, context);
+    }
+    return css;
+  }
+
+  // Serializes a rule or at-rule outside of any style rule, hoisting the
+  // declarations of conditional at-rules to :root
+  serializeTopLevelNode(node, indent, context, strategy) {
+    if (node.type !== 'atrule' || !node.children || DESCRIPTOR_AT_RULES.includes(node.name)) {
+      return this.serializeNode(node, indent, context);
+    }
+
+    const declarations = node.children.filter(child => child.type === 'declaration');
+    const children = node.children.filter(child => child.type === 'rule' || child.type === 'atrule');
+    const pad = '  '.repeat(indent);
+    const prelude = node.prelude ? ' ' + node.prelude : '';
+    let css = declarations.length > 0 ? this.serializeRootDeclarations(declarations, indent + 1, context, strategy) : '';
+    css += children.map(child => this.serializeTopLevelNode(child, indent + 1, context, strategy)).join('');
+    return `${pad}@${node.name}${prelude} {\n${css}${pad}}\n`;
+  }
+
+  // `context.important` adds !important to style declarations and
+  // `context.boost` raises the specificity of top-level style rules
+  serializeNode(node, indent, context) {
+    const pad = '  '.repeat(indent);
+
+    switch (node.type) {
+      case 'declaration': {
+        const suffix = node.important || context.important ? ' !important' : '';
+        return `${pad}${node.property}: ${node.value}${suffix};\n`;
+      }
+      case 'rule': {
+        const selector = context.boost ? this.boostSelector(node.selector) : node.selector;
+        // Nested rules already sit inside a boosted selector
+        const childContext = Object.assign({}, context, { boost: false });
+        return `${pad}${selector} {\n${this.serializeChildren(node.children, indent + 1, childContext)}${pad}}\n`;
+      }
+      case 'atrule': {
+        const prelude = node.prelude ? ' ' + node.prelude : '';
+        if (!node.children) {
+          return `${pad}@${node.name}${prelude};\n`;
+        }
+        const isDescriptorBlock = DESCRIPTOR_AT_RULES.includes(node.name);
+        const childContext = {
+          important: context.important && !isDescriptorBlock,
+          boost: context.boost && !isDescriptorBlock
+        };
+        return `${pad}@${node.name}${prelude} {\n${this.serializeChildren(node.children, indent + 1, childContext)}${pad}}\n`;
+      }
+      default:
+        // Comments and invalid fragments are dropped from compiled output
+        return '';
+    }
+  }
+
+  serializeChildren(children, indent, context) {
+    return children.map(child => this.serializeNode(child, indent, context)).join('');
+  }
+
+  // Adds one class-level of specificity to every selector in a list while
+  // matching the same elements: "a:hover" becomes ":is(a:hover):is(:root, :root *)".
+  // Pseudo-elements can't go inside :is(), so they stay after the wrapper
+  boostSelector(selector) {
+    return this.splitSelectorList(selector).map(part => {
+      const pseudoIndex = this.findPseudoElement(part);
+      const base = part.substring(0, pseudoIndex).trim();
+      const pseudo = part.substring(pseudoIndex);
+      return (base ? `:is(${base})` : '') + SPECIFICITY_BOOST + pseudo;
+    }).join(', ');
+  }
+
+  // Splits a selector list on commas outside of parentheses, brackets and strings
+  splitSelectorList(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (quote) {
+        if (char === '\\') {
+          current += char + (selector[++i] || '');
+          continue;
+        }
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+
+  // Offset of a trailing pseudo-element (::before, or the legacy :before
+  // form) outside of parentheses, or the selector's length when there is none
+  findPseudoElement(selector) {
+    let depth = 0;
+    for (let i = 0; i < selector.length; i++) {
+      const char = selector[i];
+      if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ':' && depth === 0 && selector[i - 1] !== '\\' &&
+          (selector[i + 1] === ':' || LEGACY_PSEUDO_ELEMENTS.test(selector.substring(i)))) {
+        return i;
+      }
+    }
+    return selector.length;
+  }
+
+  static get OVERRIDE_STRATEGIES() {
+    return OVERRIDE_STRATEGIES;
+  }
+
+  static get DEFAULT_OVERRIDE_STRATEGY() {
+    return DEFAULT_OVERRIDE_STRATEGY;
+  }
+}
+
+globalThis.ThemeCSSCompiler = ThemeCSSCompiler;
+
+}
@@ -0,0 +1,292 @@
+/*
+ * Theme Engine CSS Linter
+ * Reports problems in theme CSS with their line, column and severity.
+ * Built on the ThemeCSSCompiler parser and used by the theme editor.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeCSSLinter) {
+
+// At-rules that must be followed by a { ... } block
+const BLOCK_AT_RULES = [
+  'media', 'supports', 'font-face', 'keyframes', '-webkit-keyframes', '-moz-keyframes',
+  'page', 'container', 'property', 'counter-style', 'font-feature-values',
+  'font-palette-values', 'scope', 'starting-style', 'document', '-moz-document', 'viewport'
+];
+
+// At-rules that end with ";" and never take a block
+const STATEMENT_AT_RULES = ['charset', 'import', 'namespace'];
+
+// At-rules that may be either a statement or a block
+const FLEXIBLE_AT_RULES = ['layer'];
+
+// At-rules whose prelude can't be empty
+const PRELUDE_AT_RULES = [
+  'media', 'supports', 'keyframes', '-webkit-keyframes', '-moz-keyframes', 'container',
+  'property', 'counter-style', 'font-feature-values', 'font-palette-values',
+  'charset', 'import', 'namespace', 'document', '-moz-document'
+];
+
+// At-rules whose blocks hold descriptors, which aren't checked as style properties
+const DESCRIPTOR_BLOCKS = [
+  'font-face', 'page', 'property', 'counter-style', 'font-feature-values',
+  'font-palette-values', 'viewport'
+];
+
+const KEYFRAMES_AT_RULES = ['keyframes', '-webkit-keyframes', '-moz-keyframes'];
+
+class ThemeCSSLinter {
+  // Property and value checks use the browser's CSS.supports() and media
+  // queries use matchMedia(); both are skipped where they aren't available
+  constructor(options = {}) {
+    this.compiler = options.compiler || new ThemeCSSCompiler();
+    this.supports = options.supports ||
+      (globalThis.CSS && CSS.supports ? (property, value) => CSS.supports(property, value) : null);
+    this.matchMedia = options.matchMedia ||
+      (globalThis.matchMedia ? query => globalThis.matchMedia(query) : null);
+  }
+
+  // Returns diagnostics sorted by position. Each has a severity ('error',
+  // 'warning' or 'info'), a message, source offsets and a 1-based line and column
+  lint(css) {
+    const source = css || '';
+    const ast = this.compiler.parse(source);
+    const diagnostics = [];
+    const report = (severity, message, start, end) => {
+      diagnostics.push({ severity, message, start, end: Math.max(end, start) });
+    };
+
+    ast.errors.forEach(error => report('error', error.message, error.start, error.end));
+
+    const definedVariables = new Set();
+    this.collectVariables(ast.children, definedVariables);
+
+    this.lintChildren(ast.children, {
+      source,
+      report,
+      definedVariables,
+      parent: null,
+      inRule: false,
+      descriptors: false
+    });
+
+    const lineStarts = this.getLineStarts(source);
+    return diagnostics
+      .sort((a, b) => a.start - b.start)
+      .map(diagnostic => Object.assign(diagnostic, this.getPosition(lineStarts, diagnostic.start)));
+  }
+
+  collectVariables(nodes, variables) {
+    nodes.forEach(node => {
+      if (node.type === 'declaration' && this.compiler.isCustomProperty(node.property)) {
+        variables.add(node.property);
+      } else if (node.type === 'atrule' && node.name === 'property' && node.prelude.startsWith('--')) {
+        variables.add(node.prelude);
+      }
+      if (node.children) {
+        this.collectVariables(node.children, variables);
+      }
+    });
+  }
+
+  lintChildren(children, context) {
+    const seen = new Map();
+
+    children.forEach((node, index) => {
+      if (node.type === 'declaration') {
+        this.lintDeclaration(node, context);
+        this.checkDuplicate(node, seen, context);
+      } else if (node.type === 'rule') {
+        this.lintRule(node, context);
+      } else if (node.type === 'atrule') {
+        this.lintAtRule(node, index, children, context);
+      }
+    });
+  }
+
+  lintRule(node, context) {
+    const { report } = context;
+
+    if (!node.selector) {
+      report('error', 'Missing selector before "{"', node.start, node.start + 1);
+    } else if (context.parent && KEYFRAMES_AT_RULES.includes(context.parent.name)) {
+      const isKeyframeSelector = node.selector.split(',')
+        .every(part => /^(from|to|\d+(\.\d+)?%)$/i.test(part.trim()));
+      if (!isKeyframeSelector) {
+        report('error', `Invalid keyframe selector "${node.selector}", use from, to or a percentage`,
+          node.start, node.start + node.selector.length);
+      }
+    }
+
+    this.lintChildren(node.children, Object.assign({}, context, {
+      parent: node,
+      inRule: true,
+      descriptors: false
+    }));
+  }
+
+  lintAtRule(node, index, siblings, context) {
+    const { report } = context;
+    const name = node.name;
+    const keywordEnd = node.start + name.length + 1;
+    const isKnown = BLOCK_AT_RULES.includes(name) || STATEMENT_AT_RULES.includes(name) ||
+      FLEXIBLE_AT_RULES.includes(name);
+
+    if (!name) {
+      report('error', 'Missing at-rule name after "@"', node.start, node.start + 1);
+      return;
+    }
+
+    if (!isKnown) {
+      report('warning', `Unknown at-rule @${name}`, node.start, keywordEnd);
+    }
+
+    if (PRELUDE_AT_RULES.includes(name) && !node.prelude) {
+      report('error', `@${name} is missing its ${KEYFRAMES_AT_RULES.includes(name) ? 'name' : 'condition'}`,
+        node.start, keywordEnd);
+    }
+
+    if (BLOCK_AT_RULES.includes(name) && !node.children) {
+      report('error', `@${name} needs a { ... } block`, node.start, node.end);
+    }
+
+    if (STATEMENT_AT_RULES.includes(name) && node.children) {
+      report('error', `@${name} can't have a block, end it with ";"`, node.start, node.end);
+    }
+
+    if (name === 'import' && node.prelude && !/^(url\(|["'])/i.test(node.prelude)) {
+      report('error', '@import expects a url() or a quoted URL', node.start, node.end);
+    }
+
+    if (name === 'charset') {
+      if (node.prelude && !/^"[^"]*"$/.test(node.prelude)) {
+        report('error', '@charset expects a double-quoted encoding name', node.start, node.end);
+      }
+      if (context.parent || siblings.slice(0, index).some(sibling => sibling.type !== 'comment')) {
+        report('warning', '@charset is ignored unless it is the first rule', node.start, keywordEnd);
+      }
+    }
+
+    if (name === 'property' && node.prelude && !this.compiler.isCustomProperty(node.prelude)) {
+      report('error', '@property needs a custom property name such as --my-color', node.start, node.end);
+    }
+
+    if (name === 'media' && node.prelude && this.matchMedia) {
+      try {
+        if (this.matchMedia(node.prelude).media === 'not all' && !/^not\s+all$/i.test(node.prelude)) {
+          report('error', `Invalid media query "${node.prelude}"`, node.start, keywordEnd);
+        }
+      } catch (error) {
+        report('error', `Invalid media query "${node.prelude}"`, node.start, keywordEnd);
+      }
+    }
+
+    if (node.children) {
+      this.lintChildren(node.children, Object.assign({}, context, {
+        parent: node,
+        descriptors: DESCRIPTOR_BLOCKS.includes(name)
+      }));
+    }
+  }
+
+  lintDeclaration(node, context) {
+    const { report, source } = context;
+    const property = node.property;
+    const isCustom = this.compiler.isCustomProperty(property);
+    const propertyEnd = node.start + property.length;
+    const valueEnd = Math.max(node.valueStart, node.end);
+
+    this.checkVariableReferences(node, context);
+
+    if (isCustom) {
+      return;
+    }
+
+    if (!node.value) {
+      report('error', `Missing value for "${property}"`, node.start, valueEnd);
+      return;
+    }
+
+    if (context.descriptors || !this.supports) {
+      return;
+    }
+
+    if (!this.supports(property, 'initial')) {
+      report('warning', `Unknown property "${property}"`, node.start, propertyEnd);
+      return;
+    }
+
+    // var() is substituted at computed-value time, so the value can't be checked here
+    if (/\bvar\(/i.test(node.value)) {
+      return;
+    }
+
+    if (!this.supports(property, node.value)) {
+      const valueText = source.substring(node.valueStart, valueEnd).trim();
+      report('error', `Invalid value "${node.value}" for "${property}"`,
+        node.valueStart, node.valueStart + (valueText.length || 1));
+    }
+  }
+
+  // Warns about var() references that no declaration in the theme defines and
+  // that have no fallback; they only work if the page happens to define them
+  checkVariableReferences(node, context) {
+    const { report, source, definedVariables } = context;
+    const valueText = source.substring(node.valueStart, node.end);
+    const pattern = /var\(\s*(--[\w-]+)\s*(,)?/gi;
+    let match;
+
+    while ((match = pattern.exec(valueText)) !== null) {
+      const variable = match[1];
+      if (!match[2] && !definedVariables.has(variable)) {
+        const start = node.valueStart + match.index + match[0].indexOf(variable);
+        report('warning', `${variable} is not defined in this theme and has no fallback`,
+          start, start + variable.length);
+      }
+    }
+  }
+
+  // Warns when a block declares the same property twice. A vendor-prefixed
+  // value followed by a standard one is a deliberate fallback and is allowed
+  checkDuplicate(node, seen, context) {
+    const key = this.compiler.isCustomProperty(node.property) ? node.property : node.property.toLowerCase();
+    const previous = seen.get(key);
+    seen.set(key, node);
+
+    if (!previous || previous.value.startsWith('-')) {
+      return;
+    }
+
+    const previousLine = context.source.substring(0, previous.start).split('\n').length;
+    context.report('warning', `Duplicate declaration of "${node.property}", overrides the one on line ${previousLine}`,
+      node.start, node.start + node.property.length);
+  }
+
+  getLineStarts(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') {
+        starts.push(i + 1);
+      }
+    }
+    return starts;
+  }
+
+  getPosition(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+}
+
+globalThis.ThemeCSSLinter = ThemeCSSLinter;
+
+}
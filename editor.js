@@ -5,24 +5,71 @@ class ThemeEditor {
     this.lineNumbers = document.getElementById('line-numbers');
     this.statusIndicator = document.getElementById('status-indicator');
     this.editorContainer = document.getElementById('editor-container');
+    this.problemsCount = document.getElementById('problems-count');
+    this.problemsList = document.getElementById('problems-list');
     
     // Form input elements
     this.themeNameInput = document.getElementById('theme-name-input');
-    this.websiteUrlInput = document.getElementById('website-url-input');
+    this.urlRulesEditor = new UrlRulesEditor(document.getElementById('url-rules-editor'));
+    this.overrideStrategySelect = document.getElementById('override-strategy-select');
+    this.overrideStrategyHint = document.getElementById('override-strategy-hint');
     
     // Action buttons
     this.exportBtn = document.getElementById('export-btn');
     this.deleteBtn = document.getElementById('delete-btn');
+    this.publishBtn = document.getElementById('publish-btn');
+    this.discardBtn = document.getElementById('discard-btn');
+    this.draftBadge = document.getElementById('draft-badge');
+    this.historyBtn = document.getElementById('history-btn');
+    this.outputBtn = document.getElementById('output-btn');
+    this.pickBtn = document.getElementById('pick-btn');
+    
+    // History panel elements
+    this.historyPanel = document.getElementById('history-panel');
+    this.historyCloseBtn = document.getElementById('history-close-btn');
+    this.historyFromSelect = document.getElementById('history-from');
+    this.historyToSelect = document.getElementById('history-to');
+    this.historyDiff = document.getElementById('history-diff');
+    this.historyList = document.getElementById('history-list');
+    
+    // Compiled output panel elements
+    this.outputPanel = document.getElementById('output-panel');
+    this.outputCloseBtn = document.getElementById('output-close-btn');
+    this.outputCode = document.getElementById('output-code');
+    
+    // Target tab elements
+    this.targetDot = document.getElementById('target-dot');
+    this.targetLabel = document.getElementById('target-label');
+    this.targetSelect = document.getElementById('target-select');
     
     this.isValid = true;
+    this.cssCompiler = new ThemeCSSCompiler();
+    this.linter = new ThemeCSSLinter({ compiler: this.cssCompiler });
+    this.diagnostics = [];
     this.validationTimeout = null;
     this.isHighlighting = false;
-    this.autoSaveTimeout = null;
+    this.draftSaveTimeout = null;
+    // Edits not saved to the draft because auto-save is off
+    this.hasUnsavedEdits = false;
+    this.previewTimeout = null;
+    this.highlightTimeout = null;
+    
+    // Undo history for the CSS editor, including edits made by key handlers
+    this.undoManager = new UndoManager();
+    this.selectionBeforeInput = null;
     
     // Theme data
     this.currentThemeId = null;
     this.theme = null;
     this.originalCSS = '';
+    this.revisions = [];
+    
+    // Target tab the editor previews on, reached through a persistent port
+    this.targetTabId = null;
+    this.port = null;
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+    this.reconnectAttempts = 0;
     
     // Auto-suggestion properties
     this.suggestionBox = null;
@@ -31,17 +78,45 @@ class ThemeEditor {
     this.isShowingSuggestions = false;
     this.suggestionTimeout = null;
     
+    // Options page settings, see ThemeSettings
+    this.settings = ThemeSettings.DEFAULTS;
+    
     this.init();
   }
 
   init() {
     this.setupEventListeners();
     this.createSuggestionBox();
+    this.loadSettings();
     this.loadThemeFromURL();
     this.updateLineNumbers();
     this.updateSyntaxHighlighting();
   }
 
+  async loadSettings() {
+    this.applySettings(await ThemeSettings.load());
+    
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes.settings) {
+        this.applySettings(ThemeSettings.normalize(changes.settings.newValue));
+      }
+    });
+  }
+
+  applySettings(settings) {
+    this.settings = settings;
+    document.body.classList.toggle('light-theme', settings.theme === 'light');
+    document.documentElement.style.setProperty('--editor-font-size', `${settings.editorFontSize}px`);
+    this.suggestionBox.style.fontSize = `${settings.editorFontSize}px`;
+    
+    if (!settings.autoSave) {
+      clearTimeout(this.draftSaveTimeout);
+    }
+    
+    this.updateLineNumbers();
+    this.syncHighlightingLayer();
+  }
+
   createSuggestionBox() {
     this.suggestionBox = document.createElement('div');
     this.suggestionBox.className = 'suggestion-box';
@@ -71,13 +146,91 @@ class ThemeEditor {
       this.deleteTheme();
     });
 
-    // Form inputs - auto-save on change
+    this.publishBtn.addEventListener('click', () => {
+      this.saveTheme();
+    });
+
+    this.discardBtn.addEventListener('click', () => {
+      this.discardDraft();
+    });
+
+    // Revision history
+    this.historyBtn.addEventListener('click', () => {
+      this.toggleHistoryPanel();
+    });
+
+    this.historyCloseBtn.addEventListener('click', () => {
+      this.toggleHistoryPanel(false);
+    });
+
+    // Element picker on the bound tab
+    this.pickBtn.addEventListener('click', () => {
+      this.startElementPicker();
+    });
+
+    // Compiled output
+    this.outputBtn.addEventListener('click', () => {
+      this.toggleOutputPanel();
+    });
+
+    this.outputCloseBtn.addEventListener('click', () => {
+      this.toggleOutputPanel(false);
+    });
+
+    this.historyFromSelect.addEventListener('change', () => {
+      this.renderHistoryDiff();
+    });
+
+    this.historyToSelect.addEventListener('change', () => {
+      this.renderHistoryDiff();
+    });
+
+    // Target tab selection
+    this.targetSelect.addEventListener('mousedown', () => {
+      this.populateTargetOptions();
+    });
+
+    this.targetSelect.addEventListener('focus', () => {
+      this.populateTargetOptions();
+    });
+
+    this.targetSelect.addEventListener('change', () => {
+      const tabId = parseInt(this.targetSelect.value, 10);
+      if (tabId && tabId !== this.targetTabId) {
+        this.bindToTab(tabId);
+      }
+    });
+
+    this.setupTabListeners();
+
+    // Without auto-save, closing the window would lose unpublished edits
+    window.addEventListener('beforeunload', (e) => {
+      if (this.hasUnsavedEdits && this.theme && this.hasUnsavedChanges()) {
+        e.preventDefault();
+        e.returnValue = '';
+      }
+    });
+
+    // Form inputs - save to the draft on change
     this.themeNameInput.addEventListener('input', () => {
-      this.debounceAutoSave();
+      this.updateDirtyState();
+      this.debounceDraftSave();
+    });
+
+    this.urlRulesEditor.onChange(() => {
+      this.updateDirtyState();
+      this.debounceDraftSave();
     });
 
-    this.websiteUrlInput.addEventListener('input', () => {
-      this.debounceAutoSave();
+    Object.keys(ThemeCSSCompiler.OVERRIDE_STRATEGIES).forEach(strategy => {
+      this.overrideStrategySelect.appendChild(new Option(ThemeCSSCompiler.OVERRIDE_STRATEGIES[strategy].label, strategy));
+    });
+
+    this.overrideStrategySelect.addEventListener('change', () => {
+      this.updateStrategyHint();
+      this.updateDirtyState();
+      this.debounceDraftSave();
+      this.previewTheme();
     });
 
     // Keyboard shortcuts
@@ -118,7 +271,22 @@ class ThemeEditor {
         this.handleEnterKey();
       }
       
-      // Handle Ctrl+S for save
+      // Handle Ctrl+Z for undo, Ctrl+Shift+Z and Ctrl+Y for redo
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      }
+      
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+        e.preventDefault();
+        this.redo();
+      }
+      
+      // Handle Ctrl+S for publish
       if (e.key === 's' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
         this.saveTheme();
@@ -131,35 +299,36 @@ class ThemeEditor {
       }
     });
 
-    // Auto-save on content change (debounced) - only if valid
-    let saveTimeout;
-    let highlightTimeout;
-    this.editor.addEventListener('input', () => {
-      clearTimeout(saveTimeout);
-      clearTimeout(highlightTimeout);
-      this.showStatus('Typing...', 'typing');
-      
-      // Update line numbers immediately
-      this.updateLineNumbers();
+    // Remember the selection before typing so undo can put the cursor back
+    this.editor.addEventListener('beforeinput', (e) => {
+      // Route the browser's own undo (e.g. from the context menu) through ours
+      if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+        e.preventDefault();
+        if (e.inputType === 'historyUndo') {
+          this.undo();
+        } else {
+          this.redo();
+        }
+        return;
+      }
       
-      // Debounce syntax highlighting to prevent rapid updates
-      highlightTimeout = setTimeout(() => {
-        this.syncHighlightingLayer();
-        this.updateSyntaxHighlighting();
-      }, 50);
+      this.selectionBeforeInput = {
+        selectionStart: this.editor.selectionStart,
+        selectionEnd: this.editor.selectionEnd
+      };
+    });
+
+    this.editor.addEventListener('input', (e) => {
+      const kind = e.inputType && e.inputType.startsWith('insert') && e.inputType !== 'insertFromPaste'
+        ? 'typing'
+        : e.inputType || 'edit';
+      this.undoManager.record(this.getEditorState(), this.selectionBeforeInput, kind);
+      this.selectionBeforeInput = null;
       
-      // Simple validation without interrupting user
-      this.simpleValidate();
+      this.handleContentChange();
       
       // Handle auto-suggestions
       this.handleAutoSuggestions();
-      
-      saveTimeout = setTimeout(() => {
-        // Only auto-save if CSS is valid
-        if (this.isValid) {
-          this.autoSave();
-        }
-      }, 300); // Reduced from 500ms to 300ms for faster auto-save
     });
 
     // Handle scroll synchronization
@@ -323,8 +492,8 @@ class ThemeEditor {
       }
       if (inComment) continue;
       
-      // Handle single-line comments
-      if (char === '/' && nextChar === '/') {
+      // Handle single-line comments, which the comment toggle writes at the start of a line
+      if (char === '/' && nextChar === '/' && this.cssCompiler.isLineStart(text, i)) {
         // Skip to end of line
         const lineEnd = text.indexOf('\n', i);
         if (lineEnd === -1) break;
@@ -597,8 +766,8 @@ class ThemeEditor {
     const currentLineIndex = lines.length - 1;
     const currentLineText = lines[currentLineIndex];
     
-    // Calculate line height (approximately 19.5px based on CSS)
-    const lineHeight = 19.5;
+    // Lines are 1.5 times the font size, see .editor-container
+    const lineHeight = this.settings.editorFontSize * 1.5;
     
     // Calculate horizontal position based on current line text
     const tempDiv = document.createElement('div');
@@ -607,7 +776,7 @@ class ThemeEditor {
       visibility: hidden;
       white-space: pre;
       font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace;
-      font-size: 13px;
+      font-size: ${this.settings.editorFontSize}px;
       padding: 12px;
     `;
     tempDiv.textContent = currentLineText;
@@ -669,8 +838,7 @@ class ThemeEditor {
       const prefix = propertyMatch[2];
       const newLine = currentLine.substring(0, currentLine.length - prefix.length) + selectedSuggestion;
       const newValue = lines.slice(0, -1).join('\n') + (lines.length > 1 ? '\n' : '') + newLine + afterCursor;
-      this.editor.value = newValue;
-      this.editor.setSelectionRange(cursorPos - prefix.length + selectedSuggestion.length, cursorPos - prefix.length + selectedSuggestion.length);
+      this.applyEdit(newValue, cursorPos - prefix.length + selectedSuggestion.length);
     } else {
       // Check if we're in a value context
       const valueMatch = currentLine.match(/^(\s*[a-zA-Z-]+:\s*)([a-zA-Z0-9#\-\(\)]*)$/);
@@ -678,14 +846,11 @@ class ThemeEditor {
         const prefix = valueMatch[2];
         const newLine = currentLine.substring(0, currentLine.length - prefix.length) + selectedSuggestion;
         const newValue = lines.slice(0, -1).join('\n') + (lines.length > 1 ? '\n' : '') + newLine + afterCursor;
-        this.editor.value = newValue;
-        this.editor.setSelectionRange(cursorPos - prefix.length + selectedSuggestion.length, cursorPos - prefix.length + selectedSuggestion.length);
+        this.applyEdit(newValue, cursorPos - prefix.length + selectedSuggestion.length);
       }
     }
     
     this.hideSuggestions();
-    this.updateLineNumbers();
-    this.updateSyntaxHighlighting();
   }
 
   hideSuggestions() {
@@ -693,6 +858,77 @@ class ThemeEditor {
     this.suggestionBox.style.display = 'none';
   }
 
+  // Save to the draft and preview on content change (debounced)
+  handleContentChange() {
+    clearTimeout(this.previewTimeout);
+    clearTimeout(this.highlightTimeout);
+    this.showStatus('Typing...', 'typing');
+    this.updateDirtyState();
+    
+    // Update line numbers immediately
+    this.updateLineNumbers();
+    
+    // Debounce syntax highlighting to prevent rapid updates
+    this.highlightTimeout = setTimeout(() => {
+      this.syncHighlightingLayer();
+      this.updateSyntaxHighlighting();
+    }, 50);
+    
+    // Simple validation without interrupting user
+    this.simpleValidate();
+    
+    this.previewTimeout = setTimeout(() => {
+      // Live preview on the bound tab only; the published theme is untouched
+      this.previewTheme();
+    }, 300);
+    
+    this.debounceDraftSave();
+  }
+
+  getEditorState() {
+    return {
+      value: this.editor.value,
+      selectionStart: this.editor.selectionStart,
+      selectionEnd: this.editor.selectionEnd
+    };
+  }
+
+  // Replaces the editor content from code. Setting the textarea value directly
+  // clears the browser's undo stack, so every such edit goes through here to
+  // be recorded as its own undo step, previewed and saved to the draft
+  applyEdit(newValue, selectionStart, selectionEnd = selectionStart) {
+    const before = {
+      selectionStart: this.editor.selectionStart,
+      selectionEnd: this.editor.selectionEnd
+    };
+    
+    this.editor.value = newValue;
+    this.editor.setSelectionRange(selectionStart, selectionEnd);
+    this.undoManager.record(this.getEditorState(), before, 'edit');
+    this.handleContentChange();
+  }
+
+  undo() {
+    const state = this.undoManager.undo();
+    if (state) {
+      this.restoreEditorState(state);
+    }
+  }
+
+  redo() {
+    const state = this.undoManager.redo();
+    if (state) {
+      this.restoreEditorState(state);
+    }
+  }
+
+  restoreEditorState(state) {
+    this.hideSuggestions();
+    this.editor.value = state.value;
+    this.editor.setSelectionRange(state.selectionStart, state.selectionEnd);
+    this.handleContentChange();
+  }
+
   // Cleanup method to remove suggestion box when editor is destroyed
   destroy() {
     if (this.suggestionBox && this.suggestionBox.parentNode) {
@@ -711,29 +947,282 @@ class ThemeEditor {
     
     this.currentThemeId = themeId;
     this.loadTheme();
+    
+    // Bind to the tab the editor was opened for, or the active tab of the last focused window
+    const tabId = parseInt(urlParams.get('tab'), 10);
+    if (tabId) {
+      this.bindToTab(tabId);
+    } else {
+      this.bindToActiveTab();
+    }
+  }
+
+  async bindToActiveTab() {
+    try {
+      const lastWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+      const tabs = await chrome.tabs.query({ active: true, windowId: lastWindow.id });
+      this.bindToTab(tabs[0] ? tabs[0].id : null);
+    } catch (error) {
+      console.error('Error finding active tab:', error);
+      this.bindToTab(null);
+    }
+  }
+
+  async bindToTab(tabId) {
+    if (this.targetTabId && this.targetTabId !== tabId) {
+      // Put the stored theme back on the tab we are leaving
+      this.sendMessageToContentScript({ action: 'clearPreview', themeId: this.currentThemeId });
+    }
+    this.disconnectFromTab();
+    
+    this.targetTabId = tabId;
+    this.reconnectAttempts = 0;
+    
+    if (!tabId) {
+      this.updateTargetInfo(null);
+      return;
+    }
+    
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      this.updateTargetInfo(tab);
+    } catch (error) {
+      // The tab was closed before the editor opened
+      this.targetTabId = null;
+      this.updateTargetInfo(null);
+      return;
+    }
+    
+    this.connectToTab();
+  }
+
+  connectToTab() {
+    if (!this.targetTabId) {
+      return;
+    }
+    
+    const port = chrome.tabs.connect(this.targetTabId, { name: 'theme-editor', frameId: 0 });
+    this.port = port;
+    
+    port.onMessage.addListener((message) => {
+      // Events the page sends on its own rather than in reply to a request
+      if (message.event === 'elementPicked') {
+        this.insertPickedRule(message.pick);
+        return;
+      }
+      
+      const callback = this.pendingRequests.get(message.requestId);
+      if (callback) {
+        this.pendingRequests.delete(message.requestId);
+        callback(message.response);
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      // Reading lastError keeps Chrome from reporting it as unchecked
+      const error = chrome.runtime.lastError;
+      if (this.port !== port) {
+        return;
+      }
+      
+      this.port = null;
+      this.pendingRequests.forEach(callback => callback({ success: false, error: error }));
+      this.pendingRequests.clear();
+      this.setTargetConnected(false);
+      
+      // The content script may not be injected yet, e.g. in tabs opened before the extension
+      if (this.reconnectAttempts < 3) {
+        this.reconnectAttempts++;
+        chrome.runtime.sendMessage({ action: 'ensureContentScript', tabId: this.targetTabId }, () => {
+          // Reading lastError keeps Chrome from reporting it as unchecked
+          void chrome.runtime.lastError;
+          setTimeout(() => this.connectToTab(), 500);
+        });
+      }
+    });
+    
+    // Confirm the content script is listening, then push the current preview
+    this.sendMessageToContentScript({ action: 'ping' }, (response) => {
+      if (response && response.ready) {
+        this.reconnectAttempts = 0;
+        this.setTargetConnected(true);
+        if (this.theme) {
+          this.previewTheme();
+        }
+      }
+    });
+  }
+
+  // Lets the user click an element on the bound tab; the content script sends
+  // the element back over the port, see insertPickedRule()
+  async startElementPicker() {
+    if (!this.port) {
+      this.showStatus('Not connected to a page', 'error');
+      return;
+    }
+    
+    this.sendMessageToContentScript({ action: 'startPicker' }, (response) => {
+      if (response && response.success) {
+        this.showStatus('Click an element on the page, Esc to cancel', 'typing');
+      } else {
+        this.showStatus('Could not start the picker', 'error');
+      }
+    });
+    
+    // Bring the page forward so the user can pick on it
+    try {
+      const tab = await chrome.tabs.update(this.targetTabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (error) {
+      console.error('Error focusing the target tab:', error);
+    }
+  }
+
+  // Appends a rule for a picked element, starting from its current styles
+  insertPickedRule(pick) {
+    if (!this.theme || !pick || !pick.selector) {
+      return;
+    }
+    
+    const declarations = (pick.properties || []).map(({ property, value }) => `  ${property}: ${value};`);
+    const body = declarations.length > 0 ? declarations.join('\n') : '  ';
+    const value = this.editor.value.replace(/\s+$/, '');
+    const prefix = value ? value + '\n\n' : '';
+    const block = `${pick.selector} {\n${body}\n}`;
+    
+    // Leave the cursor at the end of the block's last declaration
+    const cursorPos = prefix.length + block.length - 2;
+    this.applyEdit(prefix + block + '\n', cursorPos);
+    this.editor.focus();
+    this.editor.scrollTop = this.editor.scrollHeight;
+    this.syncHighlightingLayer();
+    
+    chrome.windows.getCurrent((editorWindow) => {
+      chrome.windows.update(editorWindow.id, { focused: true });
+    });
+  }
+
+  disconnectFromTab() {
+    if (this.port) {
+      const port = this.port;
+      this.port = null;
+      port.disconnect();
+    }
+    this.pendingRequests.clear();
+    this.setTargetConnected(false);
+  }
+
+  setupTabListeners() {
+    // Reconnect when the bound tab reloads or navigates, since that drops the port
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (tabId !== this.targetTabId) {
+        return;
+      }
+      if (changeInfo.title || changeInfo.url) {
+        this.updateTargetInfo(tab);
+      }
+      if (changeInfo.status === 'complete' && !this.port) {
+        this.reconnectAttempts = 0;
+        this.connectToTab();
+      }
+    });
+    
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      if (tabId === this.targetTabId) {
+        this.disconnectFromTab();
+        this.targetTabId = null;
+        this.updateTargetInfo(null);
+      }
+    });
+  }
+
+  updateTargetInfo(tab) {
+    this.urlRulesEditor.setTestUrl(tab ? tab.url : '');
+    
+    if (!tab) {
+      this.targetLabel.textContent = 'Not previewing any page';
+      this.targetLabel.title = '';
+      return;
+    }
+    
+    let host = '';
+    try {
+      host = new URL(tab.url).hostname;
+    } catch (error) {
+      host = tab.url || '';
+    }
+    
+    this.targetLabel.textContent = `Previewing: ${tab.title || host}${host && tab.title ? ` (${host})` : ''}`;
+    this.targetLabel.title = tab.url || '';
+  }
+
+  setTargetConnected(isConnected) {
+    this.targetDot.classList.toggle('connected', isConnected);
+    this.targetDot.title = isConnected ? 'Connected to page' : 'Not connected to page';
+  }
+
+  async populateTargetOptions() {
+    try {
+      const tabs = await chrome.tabs.query({});
+      const pageTabs = tabs.filter(tab => tab.url && /^https?:/.test(tab.url));
+      
+      this.targetSelect.innerHTML = '';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Preview on…';
+      this.targetSelect.appendChild(placeholder);
+      
+      pageTabs.forEach(tab => {
+        const option = document.createElement('option');
+        option.value = tab.id;
+        option.textContent = tab.title || tab.url;
+        option.selected = tab.id === this.targetTabId;
+        this.targetSelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('Error listing tabs:', error);
+    }
   }
 
   async loadTheme() {
     try {
-      const data = await this.getStorageData(['themes', 'isEnabled']);
+      const [store, data] = await Promise.all([
+        this.callThemeStore({ action: 'listThemes' }),
+        this.getStorageData(['drafts', 'revisions'])
+      ]);
       
-      if (!data.themes || !data.themes[this.currentThemeId]) {
+      if (!store.themes[this.currentThemeId]) {
         this.showError('Theme not found');
         return;
       }
       
-      this.theme = data.themes[this.currentThemeId];
+      this.theme = store.themes[this.currentThemeId];
       this.originalCSS = this.theme.css;
+      this.revisions = (data.revisions && data.revisions[this.currentThemeId]) || [];
+      
+      // Pick up where a previous session left off
+      const draft = data.drafts && data.drafts[this.currentThemeId];
+      this.loadEditorValues(draft || this.theme);
+      this.undoManager.reset(this.getEditorState());
+      clearTimeout(this.draftSaveTimeout);
+      this.hasUnsavedEdits = false;
+      
+      if (draft) {
+        this.showStatus('Draft restored', 'typing');
+        setTimeout(() => this.hideStatus(), 2000);
+      }
       
-      // Update UI
-      this.themeNameInput.value = this.theme.name || '';
-      this.websiteUrlInput.value = this.theme.websiteUrl || '';
+      // Show the loaded values on the bound tab
+      this.previewTheme();
       
-      // Load CSS into editor
-      this.editor.value = this.theme.css;
-      this.updateLineNumbers();
-      this.updateSyntaxHighlighting();
-      this.simpleValidate();
+      // An element may have been picked on the page before this editor opened
+      if (this.targetTabId) {
+        chrome.runtime.sendMessage({ action: 'takePendingPick', tabId: this.targetTabId }, (response) => {
+          if (!chrome.runtime.lastError && response && response.pick) {
+            this.insertPickedRule(response.pick);
+          }
+        });
+      }
       
     } catch (error) {
       console.error('Error loading theme:', error);
@@ -741,24 +1230,62 @@ class ThemeEditor {
     }
   }
 
+  loadEditorValues(values) {
+    this.themeNameInput.value = values.name || '';
+    this.urlRulesEditor.setRules(ThemeResolver.getUrlRules(values));
+    this.overrideStrategySelect.value = values.overrideStrategy || ThemeCSSCompiler.DEFAULT_OVERRIDE_STRATEGY;
+    this.updateStrategyHint();
+    
+    // Load CSS into editor as an undoable edit
+    const before = {
+      selectionStart: this.editor.selectionStart,
+      selectionEnd: this.editor.selectionEnd
+    };
+    this.editor.value = values.css || '';
+    this.undoManager.record(this.getEditorState(), before, 'edit');
+    this.updateLineNumbers();
+    this.updateSyntaxHighlighting();
+    this.simpleValidate();
+    this.updateDirtyState();
+  }
+
   hasUnsavedChanges() {
     return this.editor.value !== this.originalCSS || 
            this.themeNameInput.value !== (this.theme.name || '') ||
-           this.websiteUrlInput.value !== (this.theme.websiteUrl || '');
+           JSON.stringify(this.urlRulesEditor.getRules()) !== JSON.stringify(ThemeResolver.getUrlRules(this.theme)) ||
+           this.overrideStrategySelect.value !== this.getPublishedStrategy();
+  }
+
+  getPublishedStrategy() {
+    return this.theme.overrideStrategy || ThemeCSSCompiler.DEFAULT_OVERRIDE_STRATEGY;
+  }
+
+  updateStrategyHint() {
+    const strategy = ThemeCSSCompiler.OVERRIDE_STRATEGIES[this.overrideStrategySelect.value];
+    this.overrideStrategyHint.textContent = strategy ? strategy.description : '';
+  }
+
+  // Reflect whether the draft differs from the published theme
+  updateDirtyState() {
+    const isDirty = !!this.theme && this.hasUnsavedChanges();
+    this.draftBadge.classList.toggle('show', isDirty);
+    this.publishBtn.disabled = !isDirty;
+    this.discardBtn.disabled = !isDirty;
   }
 
   async previewTheme() {
     try {
-      const processedCSS = this.processCSS(this.editor.value);
+      const processedCSS = this.processCSS(this.editor.value, this.overrideStrategySelect.value);
+      this.updateCompiledOutput(processedCSS);
       
-      // Apply CSS to the current tab for preview
+      // Apply CSS to the bound tab for preview
       this.sendMessageToContentScript({
-        action: 'applyCSS',
-        css: processedCSS
+        action: 'previewCSS',
+        css: processedCSS,
+        themeId: this.currentThemeId
       }, (response) => {
-        if (response && response.success) {
-          this.showStatus('Preview applied', 'saved');
-          setTimeout(() => this.hideStatus(), 2000);
+        if (!response || !response.success) {
+          console.log('Preview not applied:', response && response.error);
         }
       });
       
@@ -769,101 +1296,95 @@ class ThemeEditor {
     }
   }
 
+  // Publish the draft to the stored theme so it applies on every matching tab
   async saveTheme() {
+    if (!this.theme) {
+      return;
+    }
+    
+    if (this.urlRulesEditor.hasErrors()) {
+      this.showError('Fix the invalid URL rules before publishing');
+      return;
+    }
+    
+    if (!this.isValid && !confirm('This theme has CSS errors. Publish anyway?')) {
+      return;
+    }
+    
     try {
-      this.showStatus('Saving...', 'saving');
+      this.showStatus('Publishing...', 'saving');
       
-      // Get current themes
-      const data = await this.getStorageData('themes');
-      const themes = data.themes || {};
-      
-      if (!themes[this.currentThemeId]) {
-        this.showError('Theme not found');
+      const theme = await this.publishPatch({
+        name: this.themeNameInput.value,
+        urlRules: this.urlRulesEditor.getRules(),
+        overrideStrategy: this.overrideStrategySelect.value,
+        css: this.editor.value
+      });
+      if (!theme) {
+        this.hideStatus();
         return;
       }
       
-      // Update theme with precise timestamp
-      const now = new Date();
-      themes[this.currentThemeId].name = this.themeNameInput.value;
-      themes[this.currentThemeId].websiteUrl = this.websiteUrlInput.value;
-      themes[this.currentThemeId].css = this.editor.value;
-      themes[this.currentThemeId].updatedAt = now.toISOString();
+      // Update original values reference
+      this.theme = theme;
+      this.originalCSS = theme.css;
       
-      // Save to storage
-      await this.setStorageData({ themes: themes });
+      // The published theme replaces the draft
+      await this.storeDraft(null, 'publish');
+      this.updateDirtyState();
       
-      // Update original values reference
-      this.originalCSS = this.editor.value;
-      this.theme.name = this.themeNameInput.value;
-      this.theme.websiteUrl = this.websiteUrlInput.value;
-      this.theme.updatedAt = now.toISOString();
-      
-      // Apply changes if theme is enabled
-      const enabledData = await this.getStorageData('isEnabled');
-      if (enabledData.isEnabled) {
-        const processedCSS = this.processCSS(this.editor.value);
-        this.sendMessageToContentScript({
-          action: 'applyCSS',
-          css: processedCSS
-        });
-      }
+      // Show the saved changes on the bound tab
+      this.previewTheme();
       
-      this.showStatus('Saved', 'saved');
+      this.renderHistory();
+      this.showStatus('Published', 'saved');
       setTimeout(() => this.hideStatus(), 2000);
       
     } catch (error) {
-      console.error('Error saving theme:', error);
-      this.showStatus('Error saving theme', 'error');
+      console.error('Error publishing theme:', error);
+      this.showStatus('Error publishing theme', 'error');
       setTimeout(() => this.hideStatus(), 2000);
     }
   }
 
+  // Sends the edited fields to the theme store. The revision the editor loaded
+  // guards against overwriting changes made in another window; when those only
+  // touched other fields, e.g. the layer toggle, the patch is sent again on
+  // top of them. Returns the stored theme, or null when the user kept theirs
+  async publishPatch(patch) {
+    const message = { action: 'updateTheme', themeId: this.currentThemeId, patch: patch };
+    let revision = this.theme.revision || 0;
+    
+    for (;;) {
+      try {
+        const response = await this.callThemeStore(Object.assign({ revision: revision }, message));
+        return response.theme;
+      } catch (error) {
+        if (!error.conflict) {
+          throw error;
+        }
+        if (!ThemeHistory.isSameContent(error.theme, this.theme) &&
+            !confirm(`"${error.theme.name}" was changed in another window since you opened it. Publish your version over it?`)) {
+          return null;
+        }
+        revision = error.theme.revision || 0;
+      }
+    }
+  }
+
   async deleteTheme() {
-    if (!confirm(`Are you sure you want to delete "${this.theme.name}"? This action cannot be undone.`)) {
+    if (!confirm(`Are you sure you want to delete "${this.theme.name}"? A snapshot is taken first, so you can restore it from Backup & Restore in the popup.`)) {
       return;
     }
 
     try {
       this.showStatus('Deleting...', 'saving');
       
-      // Get current themes
-      const data = await this.getStorageData(['themes', 'currentThemeId']);
-      const themes = data.themes || {};
-      
-      if (!themes[this.currentThemeId]) {
-        this.showError('Theme not found');
-        return;
-      }
-      
-      // Don't allow deleting the last theme
-      if (Object.keys(themes).length <= 1) {
-        this.showError('Cannot delete the last theme. Please create another theme first.');
-        return;
-      }
+      // The store also drops the theme's draft and revision history
+      await this.callThemeStore({ action: 'deleteTheme', themeId: this.currentThemeId });
       
-      // Delete the theme
-      delete themes[this.currentThemeId];
-      
-      // If we deleted the current theme, switch to another one
-      if (data.currentThemeId === this.currentThemeId) {
-        const remainingThemes = Object.keys(themes);
-        const newCurrentThemeId = remainingThemes[0];
-        
-        await this.setStorageData({
-          themes: themes,
-          currentThemeId: newCurrentThemeId
-        });
-        
-        // Apply the new current theme
-        const newTheme = themes[newCurrentThemeId];
-        const processedCSS = this.processCSS(newTheme.css);
-        this.sendMessageToContentScript({
-          action: 'applyCSS',
-          css: processedCSS
-        });
-      } else {
-        await this.setStorageData({ themes: themes });
-      }
+      // Drop the deleted theme's preview so the bound tab shows the remaining themes
+      this.sendMessageToContentScript({ action: 'clearPreview', themeId: this.currentThemeId });
       
       this.showStatus('Theme deleted', 'saved');
       setTimeout(() => {
@@ -873,56 +1394,280 @@ class ThemeEditor {
       
     } catch (error) {
       console.error('Error deleting theme:', error);
-      this.showStatus('Error deleting theme', 'error');
+      // The store refuses to delete the last theme, which the message explains
+      this.showStatus(error.message || 'Error deleting theme', 'error');
       setTimeout(() => this.hideStatus(), 2000);
     }
   }
 
-  async autoSave() {
+  // Auto-save edits to the theme's draft; the published theme is left alone.
+  // Each draft save is also kept in the revision history under the given source
+  async saveDraft(source = 'auto') {
+    if (!this.theme) {
+      return;
+    }
+    
     try {
-      // Don't save if CSS is invalid
-      if (!this.isValid) {
-        return;
+      const isDirty = this.hasUnsavedChanges();
+      
+      // Without changes, edits were undone back to the published theme
+      await this.storeDraft(isDirty ? {
+        name: this.themeNameInput.value,
+        urlRules: this.urlRulesEditor.getRules(),
+        overrideStrategy: this.overrideStrategySelect.value,
+        css: this.editor.value,
+        updatedAt: new Date().toISOString()
+      } : null, isDirty ? source : null);
+      this.hasUnsavedEdits = false;
+      this.renderHistory();
+      
+      if (isDirty) {
+        this.showStatus('Draft saved', 'saved');
+        setTimeout(() => {
+          this.hideStatus();
+        }, 1000);
       }
       
-      this.showStatus('Auto-saving...', 'saving');
+    } catch (error) {
+      console.error('Error saving draft:', error);
+      this.showStatus('Draft save error', 'error');
+      setTimeout(() => {
+        this.hideStatus();
+      }, 2000);
+    }
+  }
+
+  async discardDraft() {
+    if (!this.theme || !this.hasUnsavedChanges()) {
+      return;
+    }
+    
+    if (!confirm('Discard your draft and go back to the published theme?')) {
+      return;
+    }
+    
+    try {
+      await this.storeDraft(null, null);
+      
+      this.loadEditorValues({
+        name: this.theme.name,
+        urlRules: ThemeResolver.getUrlRules(this.theme),
+        overrideStrategy: this.getPublishedStrategy(),
+        css: this.originalCSS
+      });
       
-      // Get current themes
-      const data = await this.getStorageData('themes');
-      const themes = data.themes || {};
+      // Put the published theme back on the bound tab
+      this.previewTheme();
       
-      if (!themes[this.currentThemeId]) {
-        return;
+      this.showStatus('Draft discarded', 'saved');
+      setTimeout(() => this.hideStatus(), 2000);
+      
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+      this.showStatus('Error discarding draft', 'error');
+      setTimeout(() => this.hideStatus(), 2000);
+    }
+  }
+
+  // Saves the draft (null removes it) through the background's ThemeStore,
+  // which applies draft and history changes one at a time. Unless source is
+  // null, the editor's current values are also recorded as a revision under
+  // that source. The published version is recorded first when the theme has
+  // no history yet, so the state before any edit can be restored
+  async storeDraft(draft, source) {
+    const message = { action: 'saveDraft', themeId: this.currentThemeId, draft: draft };
+    
+    if (source) {
+      message.revision = ThemeHistory.createRevision({
+        name: this.themeNameInput.value,
+        urlRules: this.urlRulesEditor.getRules(),
+        overrideStrategy: this.overrideStrategySelect.value,
+        css: this.editor.value
+      }, source);
+      if (source !== 'publish') {
+        message.baseline = ThemeHistory.createRevision({
+          name: this.theme.name,
+          urlRules: ThemeResolver.getUrlRules(this.theme),
+          overrideStrategy: this.getPublishedStrategy(),
+          css: this.originalCSS
+        }, 'publish', this.theme.updatedAt);
       }
+    }
+    
+    const response = await this.callThemeStore(message);
+    this.revisions = response.revisions;
+  }
+
+  toggleHistoryPanel(open = !this.historyPanel.classList.contains('open')) {
+    this.historyPanel.classList.toggle('open', open);
+    this.historyBtn.classList.toggle('active', open);
+    if (open) {
+      this.toggleOutputPanel(false);
+      this.renderHistory();
+    }
+  }
+
+  // Shows the CSS that is actually injected, as compiled with the selected override strategy
+  toggleOutputPanel(open = !this.outputPanel.classList.contains('open')) {
+    this.outputPanel.classList.toggle('open', open);
+    this.outputBtn.classList.toggle('active', open);
+    if (open) {
+      this.toggleHistoryPanel(false);
+      this.updateCompiledOutput();
+    }
+  }
+
+  updateCompiledOutput(compiledCSS) {
+    if (!this.outputPanel.classList.contains('open')) {
+      return;
+    }
+    this.outputCode.textContent = compiledCSS !== undefined
+      ? compiledCSS
+      : this.processCSS(this.editor.value, this.overrideStrategySelect.value);
+  }
+
+  getRevisionLabel(revision) {
+    const labels = { publish: 'Published', auto: 'Auto-saved', revert: 'Reverted' };
+    const time = new Date(revision.createdAt).toLocaleString();
+    return `${labels[revision.source] || 'Saved'} · ${time}`;
+  }
+
+  renderHistory() {
+    if (!this.historyPanel.classList.contains('open')) {
+      return;
+    }
+    
+    // Keep the compared revisions selected across re-renders where they still exist
+    const previousFrom = this.historyFromSelect.value;
+    const previousTo = this.historyToSelect.value;
+    
+    [this.historyFromSelect, this.historyToSelect].forEach(select => {
+      select.innerHTML = '';
+      select.appendChild(new Option('Current editor', 'current'));
+      this.revisions.forEach(revision => {
+        select.appendChild(new Option(this.getRevisionLabel(revision), revision.id));
+      });
+    });
+    
+    const hasRevision = id => id === 'current' || this.revisions.some(revision => revision.id === id);
+    this.historyFromSelect.value = hasRevision(previousFrom) && previousFrom
+      ? previousFrom
+      : (this.revisions[0] ? this.revisions[0].id : 'current');
+    this.historyToSelect.value = hasRevision(previousTo) && previousTo ? previousTo : 'current';
+    
+    this.historyList.innerHTML = '';
+    if (this.revisions.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No revisions yet. Edits are recorded as you work.';
+      this.historyList.appendChild(empty);
+    }
+    
+    this.revisions.forEach(revision => {
+      const item = document.createElement('div');
+      item.className = 'history-item';
       
-      // Update theme with precise timestamp
-      const now = new Date();
-      themes[this.currentThemeId].name = this.themeNameInput.value;
-      themes[this.currentThemeId].websiteUrl = this.websiteUrlInput.value;
-      themes[this.currentThemeId].css = this.editor.value;
-      themes[this.currentThemeId].updatedAt = now.toISOString();
+      const info = document.createElement('div');
+      info.className = 'history-item-info';
       
-      // Save to storage
-      await this.setStorageData({ themes: themes });
+      const label = document.createElement('div');
+      label.className = 'history-item-label';
+      label.textContent = this.getRevisionLabel(revision);
       
-      // Update original values reference
-      this.originalCSS = this.editor.value;
-      this.theme.name = this.themeNameInput.value;
-      this.theme.websiteUrl = this.websiteUrlInput.value;
-      this.theme.updatedAt = now.toISOString();
+      const meta = document.createElement('div');
+      meta.className = 'history-item-meta';
+      meta.textContent = `${revision.name || 'Untitled'} · ${revision.css.split('\n').length} lines`;
       
-      this.showStatus('Auto-saved', 'saved');
-      setTimeout(() => {
-        this.hideStatus();
-      }, 1000);
+      info.appendChild(label);
+      info.appendChild(meta);
       
-    } catch (error) {
-      console.error('Error auto-saving:', error);
-      this.showStatus('Auto-save error', 'error');
-      setTimeout(() => {
-        this.hideStatus();
-      }, 2000);
+      // Clicking a revision compares it with the editor
+      info.addEventListener('click', () => {
+        this.historyFromSelect.value = revision.id;
+        this.historyToSelect.value = 'current';
+        this.renderHistoryDiff();
+      });
+      
+      const revertBtn = document.createElement('button');
+      revertBtn.className = 'history-revert-btn';
+      revertBtn.textContent = 'Revert';
+      revertBtn.title = 'Load this revision into the editor';
+      revertBtn.addEventListener('click', () => {
+        this.revertToRevision(revision.id);
+      });
+      
+      item.appendChild(info);
+      item.appendChild(revertBtn);
+      this.historyList.appendChild(item);
+    });
+    
+    this.renderHistoryDiff();
+  }
+
+  getHistoryText(value) {
+    if (value === 'current') {
+      return this.editor.value;
+    }
+    const revision = this.revisions.find(item => item.id === value);
+    return revision ? revision.css : '';
+  }
+
+  renderHistoryDiff() {
+    const diff = ThemeHistory.diffLines(
+      this.getHistoryText(this.historyFromSelect.value),
+      this.getHistoryText(this.historyToSelect.value)
+    );
+    
+    this.historyDiff.innerHTML = '';
+    if (diff.every(entry => entry.type === 'same')) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No differences';
+      this.historyDiff.appendChild(empty);
+      return;
     }
+    
+    // Show changed lines with a few lines of context, collapsing the rest
+    const context = 3;
+    const visible = diff.map((entry, index) => diff
+      .slice(Math.max(0, index - context), index + context + 1)
+      .some(nearby => nearby.type !== 'same'));
+    const markers = { same: ' ', removed: '-', added: '+' };
+    
+    diff.forEach((entry, index) => {
+      if (!visible[index]) {
+        if (index === 0 || visible[index - 1]) {
+          const gap = document.createElement('div');
+          gap.className = 'diff-line diff-gap';
+          gap.textContent = '⋯';
+          this.historyDiff.appendChild(gap);
+        }
+        return;
+      }
+      
+      const line = document.createElement('div');
+      line.className = `diff-line diff-${entry.type}`;
+      line.textContent = `${markers[entry.type]} ${entry.text}`;
+      this.historyDiff.appendChild(line);
+    });
+  }
+
+  // Loads a revision into the editor as the draft. The state being replaced is
+  // saved first so the revert itself can be undone from the history
+  async revertToRevision(revisionId) {
+    const revision = this.revisions.find(item => item.id === revisionId);
+    if (!revision || !this.theme) {
+      return;
+    }
+    
+    await this.saveDraft();
+    
+    this.loadEditorValues(revision);
+    this.previewTheme();
+    await this.saveDraft('revert');
+    
+    this.showStatus('Reverted, publish to apply everywhere', 'saved');
+    setTimeout(() => this.hideStatus(), 2000);
   }
 
   showError(message) {
@@ -945,17 +1690,12 @@ class ThemeEditor {
       
       if (line.startsWith('  ')) {
         const newValue = value.substring(0, lineStart) + line.substring(2) + value.substring(end + (lineEnd === -1 ? value.length : lineEnd));
-        this.editor.value = newValue;
-        this.editor.setSelectionRange(start - 2, end - 2);
+        this.applyEdit(newValue, start - 2, end - 2);
       }
     } else {
       const newValue = value.substring(0, start) + '  ' + value.substring(end);
-      this.editor.value = newValue;
-      this.editor.setSelectionRange(start + 2, start + 2);
+      this.applyEdit(newValue, start + 2);
     }
-    
-    this.updateLineNumbers();
-    this.updateSyntaxHighlighting();
   }
 
   handleEnterKey() {
@@ -977,11 +1717,7 @@ class ThemeEditor {
     }
     
     const newValue = beforeCursor + '\n' + newIndent + afterCursor;
-    this.editor.value = newValue;
-    this.editor.setSelectionRange(cursorPos + 1 + newIndent.length, cursorPos + 1 + newIndent.length);
-    
-    this.updateLineNumbers();
-    this.updateSyntaxHighlighting();
+    this.applyEdit(newValue, cursorPos + 1 + newIndent.length);
   }
 
   handleCommentToggle() {
@@ -1016,26 +1752,21 @@ class ThemeEditor {
       // Uncomment the line
       const newLine = currentLine.replace(/^(\s*)\/\//, '$1');
       const newValue = value.substring(0, lineStart) + newLine + value.substring(lineEndPos);
-      this.editor.value = newValue;
       
       // Adjust cursor position
       const removedChars = currentLine.length - newLine.length;
-      this.editor.setSelectionRange(cursorPos - removedChars, cursorPos - removedChars);
+      this.applyEdit(newValue, cursorPos - removedChars);
     } else {
       // Comment the line
       const match = currentLine.match(/^(\s*)/);
       const indent = match ? match[1] : '';
       const newLine = indent + '//' + currentLine.substring(indent.length);
       const newValue = value.substring(0, lineStart) + newLine + value.substring(lineEndPos);
-      this.editor.value = newValue;
       
       // Adjust cursor position
       const addedChars = newLine.length - currentLine.length;
-      this.editor.setSelectionRange(cursorPos + addedChars, cursorPos + addedChars);
+      this.applyEdit(newValue, cursorPos + addedChars);
     }
-    
-    this.updateLineNumbers();
-    this.updateSyntaxHighlighting();
   }
 
   toggleMultiLineComment(start, end, value) {
@@ -1055,11 +1786,10 @@ class ThemeEditor {
       });
       const newSelectedText = uncommentedLines.join('\n');
       const newValue = beforeSelection + newSelectedText + afterSelection;
-      this.editor.value = newValue;
       
       // Adjust selection
       const removedChars = selectedText.length - newSelectedText.length;
-      this.editor.setSelectionRange(start, end - removedChars);
+      this.applyEdit(newValue, start, end - removedChars);
     } else {
       // Comment all lines
       const commentedLines = lines.map(line => {
@@ -1070,15 +1800,11 @@ class ThemeEditor {
       });
       const newSelectedText = commentedLines.join('\n');
       const newValue = beforeSelection + newSelectedText + afterSelection;
-      this.editor.value = newValue;
       
       // Adjust selection
       const addedChars = newSelectedText.length - selectedText.length;
-      this.editor.setSelectionRange(start, end + addedChars);
+      this.applyEdit(newValue, start, end + addedChars);
     }
-    
-    this.updateLineNumbers();
-    this.updateSyntaxHighlighting();
   }
 
   updateLineNumbers() {
@@ -1100,6 +1826,24 @@ class ThemeEditor {
       lineNumber.textContent = '1';
       this.lineNumbers.appendChild(lineNumber);
     }
+    
+    this.updateGutterMarkers();
+  }
+
+  // Marks lines with problems in the line-number gutter, most severe first
+  updateGutterMarkers() {
+    const lineProblems = this.getLineProblems();
+    
+    Array.from(this.lineNumbers.children).forEach((lineNumber, index) => {
+      const problems = lineProblems.get(index + 1);
+      lineNumber.classList.remove('has-error', 'has-warning', 'has-info');
+      lineNumber.removeAttribute('title');
+      
+      if (problems) {
+        lineNumber.classList.add(`has-${problems.severity}`);
+        lineNumber.title = problems.messages.join('\n');
+      }
+    });
   }
 
   syncHighlightingLayer() {
@@ -1117,9 +1861,10 @@ class ThemeEditor {
     this.isHighlighting = true;
     
     const code = this.editor.value;
-    const errors = this.validateCSS(code);
-    const invalidLines = this.getInvalidLineNumbers(errors);
+    this.diagnostics = this.linter.lint(code);
+    const invalidLines = this.getInvalidLineNumbers();
     const highlighted = this.highlightCSS(code, invalidLines);
+    this.updateGutterMarkers();
     
     this.editorHighlight.innerHTML = '';
     
@@ -1129,12 +1874,28 @@ class ThemeEditor {
     });
   }
 
-  getInvalidLineNumbers(errors) {
+  // Groups diagnostics by line, keeping the most severe level for each line
+  getLineProblems() {
+    const rank = { error: 3, warning: 2, info: 1 };
+    const lineProblems = new Map();
+    
+    this.diagnostics.forEach(diagnostic => {
+      const problems = lineProblems.get(diagnostic.line) || { severity: 'info', messages: [] };
+      if (rank[diagnostic.severity] > rank[problems.severity]) {
+        problems.severity = diagnostic.severity;
+      }
+      problems.messages.push(diagnostic.message);
+      lineProblems.set(diagnostic.line, problems);
+    });
+    
+    return lineProblems;
+  }
+
+  getInvalidLineNumbers() {
     const invalidLines = new Set();
-    errors.forEach(error => {
-      const match = error.match(/Line (\d+):/);
-      if (match) {
-        invalidLines.add(parseInt(match[1]));
+    this.diagnostics.forEach(diagnostic => {
+      if (diagnostic.severity === 'error') {
+        invalidLines.add(diagnostic.line);
       }
     });
     return invalidLines;
@@ -1183,8 +1944,8 @@ class ThemeEditor {
         }
       }
 
-      // Handle single-line comments
-      if (char === '/' && current + 1 < length && line[current + 1] === '/') {
+      // Handle single-line comments; elsewhere, e.g. in https://, "//" is value text
+      if (char === '/' && current + 1 < length && line[current + 1] === '/' && line.substring(0, current).trim() === '') {
         result += `<span class="token comment">${line.substring(current)}</span>`;
         break;
       }
@@ -1432,14 +2193,16 @@ class ThemeEditor {
     }
     
     this.validationTimeout = setTimeout(() => {
-      const css = this.editor.value;
-      const errors = this.validateCSS(css);
+      this.diagnostics = this.linter.lint(this.editor.value);
+      const errors = this.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
       
+      // Errors don't block draft saves, but publishing asks for confirmation
       this.isValid = errors.length === 0;
+      this.renderProblems();
       
       if (errors.length > 0) {
         this.editorContainer.classList.add('error');
-        this.showStatus(`${errors.length} CSS error${errors.length > 1 ? 's' : ''} - not saving`, 'error');
+        this.showStatus(`${errors.length} CSS error${errors.length > 1 ? 's' : ''}`, 'error');
         setTimeout(() => {
           this.hideStatus();
         }, 3000);
@@ -1452,114 +2215,95 @@ class ThemeEditor {
     }, 1000);
   }
 
-  validateCSS(css) {
-    // Simplified validation - just check for basic syntax
-    const errors = [];
-    const lines = css.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line.startsWith('--') && !line.includes(':')) {
-        errors.push(`Line ${i + 1}: Missing colon in CSS variable`);
-      }
-    }
-    
-    return errors;
-  }
-
-  processCSS(rawCSS) {
-    // Simple approach: just add !important to all CSS rules to ensure they override webpage styles
-    // Extract CSS variables and put them in :root
-    const lines = rawCSS.split('\n');
-    const cssVariables = [];
-    const otherCSS = [];
+  // Lists every diagnostic under the editor; clicking one jumps to it
+  renderProblems() {
+    this.problemsList.innerHTML = '';
+    this.problemsCount.textContent = this.diagnostics.length > 0 ? `(${this.diagnostics.length})` : '';
     
-    lines.forEach(line => {
-      const trimmedLine = line.trim();
-      if (trimmedLine && trimmedLine.startsWith('--') && trimmedLine.includes(':')) {
-        // This is a CSS variable definition
-        cssVariables.push('  ' + trimmedLine);
-      } else if (trimmedLine) {
-        // This is regular CSS
-        otherCSS.push(line);
-      } else {
-        // Empty line - preserve in other CSS
-        otherCSS.push(line);
-      }
-    });
-
-    // Process regular CSS to add !important
-    const processedCSS = this.addImportantToCSS(otherCSS.join('\n'));
-    
-    // Combine everything: CSS variables in :root first, then all other CSS
-    let result = '';
-    if (cssVariables.length > 0) {
-      // Use high specificity to ensure our variables override webpage variables
-      result += ':root {\n' + cssVariables.join('\n') + '\n}\n';
-      // Also add to html and body for extra specificity
-      result += 'html, body {\n' + cssVariables.join('\n') + '\n}\n\n';
-    }
-    if (processedCSS.trim()) {
-      result += processedCSS;
+    if (this.diagnostics.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'problems-empty';
+      empty.textContent = 'No problems found';
+      this.problemsList.appendChild(empty);
+      return;
     }
     
-    return result;
-  }
-
-  addImportantToCSS(css) {
-    // Split CSS into rules
-    const rules = css.split('}');
-    const processedRules = rules.map(rule => {
-      if (!rule.trim()) return rule;
+    this.diagnostics.forEach(diagnostic => {
+      const item = document.createElement('div');
+      item.className = `problem-item ${diagnostic.severity}`;
       
-      // Split rule into selector and properties
-      const parts = rule.split('{');
-      if (parts.length !== 2) return rule;
+      const severity = document.createElement('span');
+      severity.className = 'problem-severity';
+      severity.textContent = diagnostic.severity;
       
-      const selector = parts[0].trim();
-      const properties = parts[1].trim();
+      const message = document.createElement('span');
+      message.className = 'problem-message';
+      message.textContent = diagnostic.message;
       
-      if (!properties) return rule;
+      const location = document.createElement('span');
+      location.className = 'problem-location';
+      location.textContent = `Ln ${diagnostic.line}, Col ${diagnostic.column}`;
       
-      // Process each property to add !important
-      const processedProperties = properties.split(';')
-        .map(property => {
-          const trimmedProperty = property.trim();
-          if (!trimmedProperty) return trimmedProperty;
-          
-          // Skip if already has !important
-          if (trimmedProperty.includes('!important')) {
-            return trimmedProperty;
-          }
-          
-          // Add !important to the property
-          return trimmedProperty + ' !important';
-        })
-        .filter(property => property) // Remove empty properties
-        .join('; ');
-      
-      return `${selector} {\n  ${processedProperties}\n}`;
+      item.appendChild(severity);
+      item.appendChild(message);
+      item.appendChild(location);
+      item.addEventListener('click', () => {
+        this.jumpToProblem(diagnostic);
+      });
+      
+      this.problemsList.appendChild(item);
     });
+  }
+
+  jumpToProblem(diagnostic) {
+    this.editor.focus();
+    this.editor.setSelectionRange(diagnostic.start, diagnostic.end);
     
-    return processedRules.join('\n');
+    // Bring the line into view, a third of the way down the editor
+    const lineHeight = parseFloat(getComputedStyle(this.editor).lineHeight) || 19.5;
+    this.editor.scrollTop = Math.max(0, (diagnostic.line - 1) * lineHeight - this.editor.clientHeight / 3);
+    this.syncHighlightingLayer();
+  }
+
+  processCSS(rawCSS, strategy) {
+    // Compile theme CSS: hoist top-level variables to :root and apply the
+    // theme's override strategy so it wins over webpage styles
+    return this.cssCompiler.compile(rawCSS, { strategy });
   }
 
   sendMessageToContentScript(message, callback = null) {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
-          if (chrome.runtime.lastError) {
-            console.log('Message send failed:', chrome.runtime.lastError);
-            if (callback) callback({ success: false, error: chrome.runtime.lastError });
-          } else {
-            if (callback) callback(response);
-          }
-        });
+    // Prefer the persistent connection to the bound tab
+    if (this.port) {
+      const requestId = ++this.requestCounter;
+      if (callback) {
+        this.pendingRequests.set(requestId, callback);
+      }
+      this.port.postMessage({ ...message, requestId });
+      return;
+    }
+    
+    if (!this.targetTabId) {
+      if (callback) callback({ success: false, error: 'No page to preview on' });
+      return;
+    }
+    
+    chrome.tabs.sendMessage(this.targetTabId, message, { frameId: 0 }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.log('Message send failed:', chrome.runtime.lastError);
+        if (callback) callback({ success: false, error: chrome.runtime.lastError });
+      } else {
+        if (callback) callback(response);
       }
     });
   }
 
+  // Confirmations ('saved') are skipped when notifications are off; progress
+  // and errors always show
   showStatus(message, type = '') {
+    if (type === 'saved' && !this.settings.enableNotifications) {
+      this.hideStatus();
+      return;
+    }
     if (this.statusIndicator) {
       this.statusIndicator.textContent = message;
       this.statusIndicator.className = `status-indicator ${type}`;
@@ -1573,39 +2317,55 @@ class ThemeEditor {
     }
   }
 
-  getStorageData(keys) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(keys, resolve);
+  // Sends a theme change to the background's ThemeStore, which applies changes
+  // one at a time. Resolves with the response, or rejects with the store's
+  // error, which has conflict and the stored theme when a revision was stale
+  callThemeStore(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No response from the theme store'));
+        } else if (!response.success) {
+          reject(Object.assign(new Error(response.error), { conflict: response.conflict, theme: response.theme }));
+        } else {
+          resolve(response);
+        }
+      });
     });
   }
 
-  setStorageData(data) {
+  getStorageData(keys) {
     return new Promise((resolve) => {
-      chrome.storage.local.set(data, resolve);
+      chrome.storage.local.get(keys, resolve);
     });
   }
 
-  debounceAutoSave() {
-    if (this.autoSaveTimeout) {
-      clearTimeout(this.autoSaveTimeout);
+  // Saves the draft once edits pause for the auto-save delay; with auto-save
+  // off, edits stay in the editor until they are published
+  debounceDraftSave() {
+    if (this.draftSaveTimeout) {
+      clearTimeout(this.draftSaveTimeout);
+    }
+    if (!this.settings.autoSave) {
+      this.hasUnsavedEdits = true;
+      return;
     }
     
-    this.autoSaveTimeout = setTimeout(() => {
-      if (this.isValid) {
-        this.autoSave();
-      }
-    }, 500); // Reduced from 1000ms to 500ms for more responsive saving
+    this.draftSaveTimeout = setTimeout(() => {
+      this.saveDraft();
+    }, this.settings.autoSaveDelay);
   }
 
   async exportTheme() {
     try {
-      const themeData = {
+      // Export what's in the editor, including any unpublished draft
+      const themeData = ThemeFormat.serialize(Object.assign({}, this.theme, {
         name: this.themeNameInput.value,
-        websiteUrl: this.websiteUrlInput.value,
+        urlRules: this.urlRulesEditor.getRules(),
+        overrideStrategy: this.overrideStrategySelect.value,
         css: this.editor.value,
-        createdAt: this.theme.createdAt,
         updatedAt: new Date().toISOString()
-      };
+      }));
 
       const dataStr = JSON.stringify(themeData, null, 2);
       const dataBlob = new Blob([dataStr], { type: 'application/json' });
@@ -0,0 +1,276 @@
+/*
+ * Theme Engine Element Picker
+ * Highlights the element under the cursor, builds a selector for it and
+ * reports the picked element with its key computed styles.
+ * Used by the content script.
+ */
+
+// Prevent redeclaration when the content script is injected more than once
+if (!globalThis.ThemeElementPicker) {
+
+// Attributes that tests and components set on purpose, so they rarely change
+const STABLE_ATTRIBUTES = [
+  'data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy',
+  'data-component', 'data-role', 'name', 'role', 'aria-label'
+];
+
+// Classes that describe a passing state rather than what the element is
+const STATE_CLASS = /^(is-|has-)|^(active|current|selected|open|opened|closed|hover|focus|focused|visible|hidden|disabled|expanded|collapsed|show|shown)$/i;
+
+// Names that look machine-generated, e.g. CSS module hashes or framework ids
+const GENERATED_NAME = /\d{3,}|^(css|sc|jsx|emotion|svelte|ng)-|[_-](?=[a-z]*\d)[a-z0-9]{5,}$|^_|[A-Z].*[0-9]|^.{30,}$/;
+
+// Computed properties a new rule starts with, and values not worth copying
+const KEY_PROPERTIES = [
+  'color', 'background-color', 'border-color', 'font-family', 'font-size',
+  'font-weight', 'line-height', 'padding', 'margin', 'border-radius', 'box-shadow'
+];
+const UNINTERESTING_VALUES = ['none', 'normal', '0px', 'rgba(0, 0, 0, 0)', 'transparent', 'auto'];
+
+// Highest z-index, so the highlight shows above page content
+const TOP_LAYER = '2147483647';
+
+class ThemeElementPicker {
+  // onPick receives { selector, tagName, properties } and onCancel is called on Escape
+  constructor(options = {}) {
+    this.onPick = options.onPick || (() => {});
+    this.onCancel = options.onCancel || (() => {});
+    this.isActive = false;
+    this.target = null;
+    this.highlight = null;
+    this.label = null;
+
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.blockEvent = this.blockEvent.bind(this);
+  }
+
+  start() {
+    if (this.isActive || !document.documentElement) {
+      return;
+    }
+    this.isActive = true;
+
+    this.highlight = this.createOverlay({
+      outline: '2px solid #ffd400',
+      background: 'rgba(255, 212, 0, 0.15)'
+    });
+    this.label = this.createOverlay({
+      background: '#1e1e1e',
+      color: '#ffd400',
+      font: '12px/1.4 monospace',
+      padding: '2px 6px',
+      borderRadius: '3px',
+      whiteSpace: 'nowrap',
+      maxWidth: '80vw',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis'
+    });
+    document.documentElement.appendChild(this.highlight);
+    document.documentElement.appendChild(this.label);
+
+    // Capture on window so page handlers never see the picking clicks
+    window.addEventListener('mousemove', this.handleMouseMove, true);
+    window.addEventListener('click', this.handleClick, true);
+    window.addEventListener('keydown', this.handleKeyDown, true);
+    ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'dblclick', 'contextmenu'].forEach(type => {
+      window.addEventListener(type, this.blockEvent, true);
+    });
+  }
+
+  stop() {
+    if (!this.isActive) {
+      return;
+    }
+    this.isActive = false;
+    this.target = null;
+
+    window.removeEventListener('mousemove', this.handleMouseMove, true);
+    window.removeEventListener('click', this.handleClick, true);
+    window.removeEventListener('keydown', this.handleKeyDown, true);
+    ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'dblclick', 'contextmenu'].forEach(type => {
+      window.removeEventListener(type, this.blockEvent, true);
+    });
+
+    [this.highlight, this.label].forEach(element => element && element.remove());
+    this.highlight = null;
+    this.label = null;
+  }
+
+  // Overlays are styled through the CSSOM, which a page CSP doesn't block
+  createOverlay(styles) {
+    const element = document.createElement('div');
+    element.setAttribute('data-theme-engine-picker', 'true');
+    Object.assign(element.style, {
+      position: 'fixed',
+      zIndex: TOP_LAYER,
+      pointerEvents: 'none',
+      boxSizing: 'border-box',
+      display: 'none'
+    }, styles);
+    return element;
+  }
+
+  handleMouseMove(event) {
+    const target = this.getEventTarget(event);
+    if (!target || target === this.target) {
+      return;
+    }
+    this.target = target;
+
+    const rect = target.getBoundingClientRect();
+    Object.assign(this.highlight.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+
+    this.label.textContent = this.buildSelector(target);
+    Object.assign(this.label.style, {
+      display: 'block',
+      top: `${rect.top > 24 ? rect.top - 22 : rect.bottom + 4}px`,
+      left: `${Math.max(0, rect.left)}px`
+    });
+  }
+
+  handleClick(event) {
+    this.blockEvent(event);
+    const target = this.getEventTarget(event) || this.target;
+    if (!target) {
+      return;
+    }
+
+    const pick = {
+      selector: this.buildSelector(target),
+      tagName: target.tagName.toLowerCase(),
+      properties: this.getKeyProperties(target)
+    };
+    this.stop();
+    this.onPick(pick);
+  }
+
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      this.blockEvent(event);
+      this.stop();
+      this.onCancel();
+    }
+  }
+
+  blockEvent(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+  }
+
+  getEventTarget(event) {
+    const target = event.target;
+    if (!target || target.nodeType !== Node.ELEMENT_NODE || target.hasAttribute('data-theme-engine-picker')) {
+      return null;
+    }
+    return target;
+  }
+
+  // Builds the shortest selector that matches only this element, walking up
+  // from it and preferring ids, stable attributes and classes over positions
+  buildSelector(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      const id = current.id;
+      if (id && !GENERATED_NAME.test(id) && this.isUnique(`#${CSS.escape(id)}`)) {
+        parts.unshift(`#${CSS.escape(id)}`);
+        return parts.join(' > ');
+      }
+
+      parts.unshift(this.describeElement(current));
+      const selector = parts.join(' > ');
+      if (this.isUnique(selector)) {
+        return selector;
+      }
+
+      // Tell siblings apart by position only when nothing else does
+      if (!this.isUniqueAmongSiblings(current, parts[0])) {
+        parts[0] += `:nth-of-type(${this.getTypeIndex(current)})`;
+        if (this.isUnique(parts.join(' > '))) {
+          return parts.join(' > ');
+        }
+      }
+
+      current = current.parentElement;
+    }
+
+    return parts.join(' > ') || element.tagName.toLowerCase();
+  }
+
+  // Tag name plus the most stable attribute or up to two stable classes
+  describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+
+    for (const name of STABLE_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      if (value && value.length <= 60) {
+        return `${tag}[${name}="${CSS.escape(value)}"]`;
+      }
+    }
+
+    const classes = Array.from(element.classList)
+      .filter(name => !STATE_CLASS.test(name) && !GENERATED_NAME.test(name))
+      .slice(0, 2);
+    return tag + classes.map(name => `.${CSS.escape(name)}`).join('');
+  }
+
+  isUnique(selector) {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  isUniqueAmongSiblings(element, part) {
+    if (!element.parentElement) {
+      return true;
+    }
+    try {
+      return Array.from(element.parentElement.children).filter(sibling => sibling.matches(part)).length === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getTypeIndex(element) {
+    let index = 1;
+    let sibling = element.previousElementSibling;
+    while (sibling) {
+      if (sibling.tagName === element.tagName) {
+        index++;
+      }
+      sibling = sibling.previousElementSibling;
+    }
+    return index;
+  }
+
+  // The element's current values of the properties a theme usually changes
+  getKeyProperties(element) {
+    const style = getComputedStyle(element);
+    const properties = [];
+
+    KEY_PROPERTIES.forEach(property => {
+      const value = style.getPropertyValue(property).trim();
+      if (value && !UNINTERESTING_VALUES.includes(value)) {
+        properties.push({ property, value });
+      }
+    });
+
+    return properties;
+  }
+}
+
+globalThis.ThemeElementPicker = ThemeElementPicker;
+
+}
@@ -0,0 +1,116 @@
+class ThemeOptions {
+  constructor() {
+    this.autoSaveInput = document.getElementById('auto-save');
+    this.autoSaveDelayInput = document.getElementById('auto-save-delay');
+    this.editorThemeSelect = document.getElementById('editor-theme');
+    this.editorFontSizeInput = document.getElementById('editor-font-size');
+    this.notificationsInput = document.getElementById('enable-notifications');
+    this.urlScopeSelect = document.getElementById('default-url-scope');
+    this.strategySelect = document.getElementById('default-override-strategy');
+    this.strategyHint = document.getElementById('default-override-strategy-hint');
+    this.saveStatus = document.getElementById('save-status');
+
+    this.statusTimeout = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.fillSelect(this.editorThemeSelect, ThemeSettings.EDITOR_THEMES);
+    this.fillSelect(this.urlScopeSelect, ThemeSettings.URL_SCOPES);
+    this.fillSelect(this.strategySelect, ThemeCSSCompiler.OVERRIDE_STRATEGIES);
+
+    const delayRange = ThemeSettings.AUTO_SAVE_DELAY_RANGE;
+    this.autoSaveDelayInput.min = delayRange.min;
+    this.autoSaveDelayInput.max = delayRange.max;
+    const fontSizeRange = ThemeSettings.EDITOR_FONT_SIZE_RANGE;
+    this.editorFontSizeInput.min = fontSizeRange.min;
+    this.editorFontSizeInput.max = fontSizeRange.max;
+
+    this.render(await ThemeSettings.load());
+    this.setupEventListeners();
+
+    // Settings restored from a backup or changed in another options tab
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes.settings) {
+        this.render(ThemeSettings.normalize(changes.settings.newValue));
+      }
+    });
+  }
+
+  fillSelect(select, choices) {
+    Object.keys(choices).forEach(value => {
+      select.appendChild(new Option(choices[value].label, value));
+    });
+  }
+
+  setupEventListeners() {
+    this.autoSaveInput.addEventListener('change', () => {
+      this.save({ autoSave: this.autoSaveInput.checked });
+    });
+
+    this.autoSaveDelayInput.addEventListener('change', () => {
+      this.save({ autoSaveDelay: this.autoSaveDelayInput.value });
+    });
+
+    this.editorThemeSelect.addEventListener('change', () => {
+      this.save({ theme: this.editorThemeSelect.value });
+    });
+
+    this.editorFontSizeInput.addEventListener('change', () => {
+      this.save({ editorFontSize: this.editorFontSizeInput.value });
+    });
+
+    this.notificationsInput.addEventListener('change', () => {
+      this.save({ enableNotifications: this.notificationsInput.checked });
+    });
+
+    this.urlScopeSelect.addEventListener('change', () => {
+      this.save({ defaultUrlScope: this.urlScopeSelect.value });
+    });
+
+    this.strategySelect.addEventListener('change', () => {
+      this.save({ defaultOverrideStrategy: this.strategySelect.value });
+    });
+  }
+
+  render(settings) {
+    this.autoSaveInput.checked = settings.autoSave;
+    this.autoSaveDelayInput.value = settings.autoSaveDelay;
+    this.autoSaveDelayInput.disabled = !settings.autoSave;
+    this.editorThemeSelect.value = settings.theme;
+    this.editorFontSizeInput.value = settings.editorFontSize;
+    this.notificationsInput.checked = settings.enableNotifications;
+    this.urlScopeSelect.value = settings.defaultUrlScope;
+    this.strategySelect.value = settings.defaultOverrideStrategy;
+    this.strategyHint.textContent = ThemeCSSCompiler.OVERRIDE_STRATEGIES[settings.defaultOverrideStrategy].description;
+  }
+
+  // Saves the changed settings; the background fixes out-of-range values and
+  // answers with every setting, which is shown again
+  save(patch) {
+    chrome.runtime.sendMessage({ action: 'updateSettings', settings: patch }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        this.showStatus('Settings could not be saved', 'error');
+        return;
+      }
+      this.render(response.settings);
+      this.showStatus('Saved', 'saved');
+    });
+  }
+
+  showStatus(message, type) {
+    clearTimeout(this.statusTimeout);
+    this.saveStatus.textContent = message;
+    this.saveStatus.className = `save-status ${type}`;
+    this.statusTimeout = setTimeout(() => {
+      this.saveStatus.textContent = '';
+      this.saveStatus.className = 'save-status';
+    }, 2000);
+  }
+}
+
+// Initialize the options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ThemeOptions();
+});
@@ -7,31 +7,90 @@ class ThemeEngine {
     this.createThemeBtn = document.getElementById('create-theme-btn');
     this.importThemeBtn = document.getElementById('import-theme-btn');
     this.scanButton = document.getElementById('scan-button');
+    this.pickButton = document.getElementById('pick-button');
     
     // Modal elements
     this.themeModal = document.getElementById('theme-modal');
     this.modalTitle = document.getElementById('modal-title');
     this.themeNameInput = document.getElementById('theme-name');
     this.themeDescriptionInput = document.getElementById('theme-description');
-    this.themeWebsiteUrlInput = document.getElementById('theme-website-url');
+    this.urlRulesEditor = new UrlRulesEditor(document.getElementById('theme-url-rules'));
     this.modalClose = document.getElementById('modal-close');
     this.modalCancel = document.getElementById('modal-cancel');
     this.modalSave = document.getElementById('modal-save');
     
+    // Site exception elements
+    this.siteBar = document.getElementById('site-bar');
+    this.siteStatus = document.getElementById('site-status');
+    this.disableSiteBtn = document.getElementById('disable-site-btn');
+    this.disablePageBtn = document.getElementById('disable-page-btn');
+    this.enableHereBtn = document.getElementById('enable-here-btn');
+    this.exceptionsBtn = document.getElementById('exceptions-btn');
+    this.siteMode = document.getElementById('site-mode');
+    this.storageWarning = document.getElementById('storage-warning');
+    
+    // Sync elements
+    this.syncEnabledInput = document.getElementById('sync-enabled');
+    this.syncNowBtn = document.getElementById('sync-now-btn');
+    this.syncStatus = document.getElementById('sync-status');
+    this.syncConflicts = document.getElementById('sync-conflicts');
+    
+    // Backup elements
+    this.backupBtn = document.getElementById('backup-btn');
+    this.backupModal = document.getElementById('backup-modal');
+    this.backupClose = document.getElementById('backup-close');
+    this.backupAllBtn = document.getElementById('backup-all-btn');
+    this.restoreFileBtn = document.getElementById('restore-file-btn');
+    this.backupRestore = document.getElementById('backup-restore');
+    this.backupSource = document.getElementById('backup-source');
+    this.backupPreview = document.getElementById('backup-preview');
+    this.restoreCancel = document.getElementById('restore-cancel');
+    this.restoreConfirm = document.getElementById('restore-confirm');
+    this.snapshotList = document.getElementById('snapshot-list');
+    this.settingsBtn = document.getElementById('settings-btn');
+    this.exceptionsModal = document.getElementById('exceptions-modal');
+    this.exceptionsClose = document.getElementById('exceptions-close');
+    this.exceptionsList = document.getElementById('exceptions-list');
+    
     this.isEnabled = false;
+    this.cssCompiler = new ThemeCSSCompiler();
     
     // Theme management state
     this.themes = {};
+    // Theme ids in layer priority order, highest priority first
+    this.themeOrder = [];
     this.currentThemeId = null;
     this.editingThemeId = null;
+    this.editingRevision = null;
     this.modalMode = 'create'; // 'create' or 'edit'
+    this.pendingThemeCSS = null; // CSS for the theme being created, e.g. from a page scan
+    // Sites and pages where theming is off, see ThemeResolver.createBlockEntry()
+    this.blocklist = [];
+    
+    // Active tab state, used to show which themes are live on the current page
+    this.activeTabId = null;
+    this.activeTabUrl = null;
+    // How themes reach the active tab: 'style' elements, or 'insertCSS' where the page CSP blocks them
+    this.injectionMode = 'style';
+    this.liveThemeIds = [];
+    this.draggedThemeId = null;
+    
+    // Backup being restored: { bundle } read from a file or { snapshotId }
+    this.restoreSource = null;
+    
+    // Options page settings, see ThemeSettings
+    this.settings = ThemeSettings.DEFAULTS;
     
     this.init();
   }
 
-  init() {
+  async init() {
     this.setupEventListeners();
+    await this.loadActiveTab();
+    this.loadSettings();
     this.loadThemes();
+    this.loadInjectionMode();
+    this.loadSyncStatus();
     this.setupStorageListener();
   }
 
@@ -54,7 +113,62 @@ class ThemeEngine {
       this.scanCurrentPage();
     });
 
+    this.pickButton.addEventListener('click', () => {
+      this.startElementPicker();
+    });
+
+    // Sync
+    this.syncEnabledInput.addEventListener('change', () => {
+      this.setSyncEnabled(this.syncEnabledInput.checked);
+    });
+
+    this.syncNowBtn.addEventListener('click', () => {
+      this.syncStatus.textContent = 'Syncing...';
+      chrome.runtime.sendMessage({ action: 'syncNow' }, (state) => {
+        if (!chrome.runtime.lastError && state) {
+          this.renderSyncStatus(state);
+        }
+      });
+    });
 
+    this.settingsBtn.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    // Backup & restore
+    this.backupBtn.addEventListener('click', () => {
+      this.openBackupModal();
+    });
+
+    this.backupClose.addEventListener('click', () => {
+      this.closeBackupModal();
+    });
+
+    this.backupModal.addEventListener('click', (e) => {
+      if (e.target === this.backupModal) {
+        this.closeBackupModal();
+      }
+    });
+
+    this.backupAllBtn.addEventListener('click', () => {
+      this.downloadBackup();
+    });
+
+    this.restoreFileBtn.addEventListener('click', () => {
+      this.chooseBackupFile();
+    });
+
+    this.backupModal.querySelectorAll('input[name="restore-mode"]').forEach(input => {
+      input.addEventListener('change', () => this.previewRestore());
+    });
+
+    this.restoreCancel.addEventListener('click', () => {
+      this.selectRestoreSource(null);
+    });
+
+    this.restoreConfirm.addEventListener('click', () => {
+      this.confirmRestore();
+    });
 
     // Modal events
     this.modalClose.addEventListener('click', () => {
@@ -75,15 +189,55 @@ class ThemeEngine {
         this.closeModal();
       }
     });
+
+    // Site exception events
+    this.disableSiteBtn.addEventListener('click', () => {
+      this.disableOnActiveTab('site');
+    });
+
+    this.disablePageBtn.addEventListener('click', () => {
+      this.disableOnActiveTab('page');
+    });
+
+    this.enableHereBtn.addEventListener('click', () => {
+      this.enableOnActiveTab();
+    });
+
+    this.exceptionsBtn.addEventListener('click', () => {
+      this.openExceptionsModal();
+    });
+
+    this.exceptionsClose.addEventListener('click', () => {
+      this.exceptionsModal.classList.remove('show');
+    });
+
+    this.exceptionsModal.addEventListener('click', (e) => {
+      if (e.target === this.exceptionsModal) {
+        this.exceptionsModal.classList.remove('show');
+      }
+    });
   }
 
   setupStorageListener() {
     // Listen for changes in chrome storage to update the UI when themes are modified from the editor
     chrome.storage.onChanged.addListener((changes, namespace) => {
-      if (namespace === 'local' && changes.themes) {
+      if (namespace === 'local' && (changes.themes || changes.themeOrder || changes.migrationError)) {
         // Reload themes and update UI when themes are changed
         this.loadThemes();
       }
+      if (namespace === 'local' && changes.blocklist) {
+        this.blocklist = changes.blocklist.newValue || [];
+        this.updateThemeUI();
+      }
+      if (namespace === 'local' && changes.settings) {
+        this.settings = ThemeSettings.normalize(changes.settings.newValue);
+      }
+      if (namespace === 'local' && changes.syncState) {
+        this.renderSyncStatus(changes.syncState.newValue || {});
+      }
+      if (namespace === 'session' && changes.fallbackCSS) {
+        this.loadInjectionMode();
+      }
     });
 
     // Refresh timestamps every 30 seconds to keep them accurate
@@ -92,59 +246,50 @@ class ThemeEngine {
     }, 30000);
   }
 
+  async loadActiveTab() {
+    try {
+      const tabs = await new Promise((resolve) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, resolve);
+      });
+      this.activeTabId = tabs[0] ? tabs[0].id : null;
+      this.activeTabUrl = tabs[0] && tabs[0].url ? tabs[0].url : null;
+    } catch (error) {
+      console.error('Error loading active tab:', error);
+    }
+  }
+
+  // Asks the background whether the active tab's CSP forced the insertCSS fallback
+  loadInjectionMode() {
+    if (!this.activeTabId) {
+      return;
+    }
+    
+    chrome.runtime.sendMessage({ action: 'getInjectionMode', tabId: this.activeTabId }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        return;
+      }
+      this.injectionMode = response.mode;
+      this.updateSiteBar();
+    });
+  }
+
   // Theme Management Methods
   async loadThemes() {
     try {
-      const data = await this.getStorageData(['themes', 'currentThemeId', 'isEnabled']);
-      
-      // Initialize themes structure if it doesn't exist
-      if (!data.themes) {
-        // Create default themes to match the design
-        const defaultThemes = {
-          'theme1': {
-            id: 'theme1',
-            name: 'My first theme',
-            description: 'A simple theme for demonstration',
-            websiteUrl: 'https://example.com',
-            css: '--black: #000;\n--text-color: var(--black);',
-            createdAt: new Date(Date.now() - 5 * 60 * 1000).toISOString(), // 5 minutes ago
-            updatedAt: new Date(Date.now() - 5 * 60 * 1000).toISOString()
-          },
-          'theme2': {
-            id: 'theme2',
-            name: 'Google theme',
-            description: 'Custom styling for Google search',
-            websiteUrl: 'https://google.com',
-            css: '--bg-button: #4285f4;\n--text-color: #202124;',
-            createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), // 1 day ago
-            updatedAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
-          },
-          'theme3': {
-            id: 'theme3',
-            name: 'Universal dark theme',
-            description: 'Dark theme for all websites',
-            websiteUrl: '',
-            css: '--bg-header: #1a1a1a;\n--text-color: #ffffff;',
-            createdAt: new Date(Date.now() - 5 * 60 * 1000).toISOString(), // 5 minutes ago
-            updatedAt: new Date(Date.now() - 5 * 60 * 1000).toISOString()
-          }
-        };
-        
-        this.themes = defaultThemes;
-        this.currentThemeId = 'theme1';
-        
-        await this.setStorageData({
-          themes: this.themes,
-          currentThemeId: this.currentThemeId
-        });
-      } else {
-        this.themes = data.themes;
-        this.currentThemeId = data.currentThemeId || Object.keys(this.themes)[0];
-      }
+      // The store creates the default themes on first use
+      const [store, data] = await Promise.all([
+        this.callThemeStore({ action: 'listThemes' }),
+        this.getStorageData(['isEnabled', 'blocklist', 'migrationError'])
+      ]);
+      this.themes = store.themes;
+      this.themeOrder = store.themeOrder;
+      this.currentThemeId = store.currentThemeId;
       
       if (data.isEnabled !== undefined) {
         this.isEnabled = data.isEnabled;
       }
+      this.blocklist = data.blocklist || [];
+      this.updateStorageWarning(data.migrationError);
       
       this.updateThemeUI();
       this.updateToggleState();
@@ -154,34 +299,338 @@ class ThemeEngine {
     }
   }
 
+  async loadSettings() {
+    this.settings = await ThemeSettings.load();
+  }
+
+  loadSyncStatus() {
+    chrome.runtime.sendMessage({ action: 'getSyncStatus' }, (state) => {
+      if (chrome.runtime.lastError || !state) {
+        return;
+      }
+      this.renderSyncStatus(state);
+    });
+  }
+
+  setSyncEnabled(enabled) {
+    this.syncStatus.textContent = enabled ? 'Syncing...' : '';
+    chrome.runtime.sendMessage({ action: 'setSyncEnabled', enabled: enabled }, (state) => {
+      if (chrome.runtime.lastError || !state) {
+        alert('Unable to change the sync setting');
+        this.loadSyncStatus();
+        return;
+      }
+      this.renderSyncStatus(state);
+    });
+  }
+
+  // Shows whether sync is on, when it last ran, quota and other errors, and
+  // the themes that were changed on two devices at once
+  renderSyncStatus(state) {
+    this.syncEnabledInput.checked = !!state.enabled;
+    this.syncNowBtn.style.display = state.enabled ? '' : 'none';
+    this.syncStatus.className = 'sync-status';
+    this.syncConflicts.innerHTML = '';
+
+    if (!state.enabled) {
+      this.syncStatus.textContent = '';
+      return;
+    }
+
+    if (state.error) {
+      this.syncStatus.classList.add('error');
+      this.syncStatus.textContent = state.error.type === 'quota'
+        ? `Sync storage is full, so changes aren't synced. Shorten or delete themes to sync again. (${state.error.message})`
+        : `Sync failed: ${state.error.message}`;
+    } else if (state.lastSyncAt) {
+      const usage = Math.ceil((state.bytesInUse || 0) / 1024);
+      this.syncStatus.textContent = `${this.getRelativeTime(state.lastSyncAt).replace('Updated', 'Synced')}, using ${usage} KB of 100 KB`;
+    } else {
+      this.syncStatus.textContent = 'Waiting to sync';
+    }
+
+    (state.conflicts || []).forEach(conflict => {
+      const item = document.createElement('div');
+      item.className = 'sync-conflict';
+
+      const text = document.createElement('span');
+      text.className = 'sync-conflict-text';
+      text.textContent = `"${conflict.name}" was ${conflict.reason}; kept the version from ${conflict.kept === 'local' ? 'this device' : 'the other device'}`;
+      text.title = text.textContent;
+      item.appendChild(text);
+      this.syncConflicts.appendChild(item);
+    });
+
+    if (state.conflicts && state.conflicts.length > 0) {
+      const dismiss = document.createElement('button');
+      dismiss.className = 'site-link';
+      dismiss.textContent = 'Dismiss';
+      dismiss.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'dismissSyncConflicts' }, () => {
+          void chrome.runtime.lastError;
+        });
+      });
+      this.syncConflicts.appendChild(dismiss);
+    }
+  }
+
+  openBackupModal() {
+    this.selectRestoreSource(null);
+    this.loadSnapshots();
+    this.backupModal.classList.add('show');
+  }
+
+  closeBackupModal() {
+    this.selectRestoreSource(null);
+    this.backupModal.classList.remove('show');
+  }
+
+  // Downloads every theme, draft, setting and exception as one file
+  async downloadBackup() {
+    try {
+      const { bundle } = await this.callThemeStore({ action: 'createBackup' });
+      const dataBlob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      
+      const url = URL.createObjectURL(dataBlob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `theme-engine-backup-${bundle.createdAt.slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      alert('Error creating backup: ' + error.message);
+    }
+  }
+
+  chooseBackupFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.style.display = 'none';
+    
+    input.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+          try {
+            this.selectRestoreSource({ bundle: JSON.parse(event.target.result) }, `Restoring ${file.name}`);
+          } catch (error) {
+            alert('Error reading file: ' + error.message);
+          }
+        };
+        reader.readAsText(file);
+      }
+      
+      document.body.removeChild(input);
+    });
+    
+    document.body.appendChild(input);
+    input.click();
+  }
+
+  loadSnapshots() {
+    this.callThemeStore({ action: 'listSnapshots' }).then(({ snapshots }) => {
+      this.renderSnapshots(snapshots);
+    }).catch((error) => {
+      console.error('Error loading snapshots:', error);
+    });
+  }
+
+  renderSnapshots(snapshots) {
+    this.snapshotList.innerHTML = '';
+    
+    if (snapshots.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'exceptions-empty';
+      empty.textContent = 'No snapshots yet.';
+      this.snapshotList.appendChild(empty);
+      return;
+    }
+    
+    snapshots.forEach(snapshot => {
+      const item = document.createElement('div');
+      item.className = 'snapshot-item';
+      
+      const text = document.createElement('span');
+      text.className = 'snapshot-text';
+      text.textContent = `${snapshot.reason} (${snapshot.themeCount} ${snapshot.themeCount === 1 ? 'theme' : 'themes'})`;
+      text.title = text.textContent;
+      
+      const date = document.createElement('span');
+      date.className = 'snapshot-date';
+      date.textContent = new Date(snapshot.createdAt).toLocaleString();
+      
+      const restoreButton = document.createElement('button');
+      restoreButton.className = 'site-link';
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => {
+        this.selectRestoreSource({ snapshotId: snapshot.id }, `Restoring the snapshot from ${date.textContent}`);
+      });
+      
+      item.appendChild(text);
+      item.appendChild(date);
+      item.appendChild(restoreButton);
+      this.snapshotList.appendChild(item);
+    });
+  }
+
+  // Shows the restore choices for a backup, or hides them when source is null
+  selectRestoreSource(source, label = '') {
+    this.restoreSource = source;
+    this.backupRestore.classList.toggle('show', !!source);
+    this.backupSource.textContent = label;
+    this.backupSource.title = label;
+    this.backupPreview.textContent = '';
+    if (source) {
+      this.previewRestore();
+    }
+  }
+
+  getRestoreMode() {
+    const checked = this.backupModal.querySelector('input[name="restore-mode"]:checked');
+    return checked ? checked.value : 'merge';
+  }
+
+  // Lists what restoring the selected backup would change, without changing anything
+  async previewRestore() {
+    if (!this.restoreSource) {
+      return;
+    }
+    
+    const source = this.restoreSource;
+    this.backupPreview.className = 'backup-preview';
+    this.backupPreview.textContent = 'Checking the backup...';
+    this.restoreConfirm.disabled = true;
+    
+    try {
+      const { summary } = await this.callThemeStore(Object.assign({ action: 'previewRestore', mode: this.getRestoreMode() }, source));
+      if (source !== this.restoreSource) {
+        return;
+      }
+      this.backupPreview.textContent = this.describeRestore(summary);
+      this.restoreConfirm.disabled = false;
+    } catch (error) {
+      if (source !== this.restoreSource) {
+        return;
+      }
+      this.backupPreview.classList.add('error');
+      this.backupPreview.textContent = error.message;
+    }
+  }
+
+  describeRestore(summary) {
+    const lines = [];
+    const names = list => list.map(name => `"${name}"`).join(', ');
+    
+    if (summary.added.length > 0) {
+      lines.push(`Adds ${names(summary.added)}`);
+    }
+    if (summary.updated.length > 0) {
+      lines.push(`Replaces ${names(summary.updated)} with the backup's version`);
+    }
+    if (summary.removed.length > 0) {
+      lines.push(`Deletes ${names(summary.removed)}`);
+    }
+    if (summary.unchanged > 0) {
+      lines.push(`Leaves ${summary.unchanged} ${summary.unchanged === 1 ? 'theme' : 'themes'} as they are`);
+    }
+    if (summary.blocklistAdded > 0 || summary.blocklistRemoved > 0) {
+      lines.push(`Exceptions: ${summary.blocklistAdded} added, ${summary.blocklistRemoved} removed`);
+    }
+    if (summary.settingsChanged) {
+      lines.push('Changes your settings');
+    }
+    if (summary.mode === 'replace') {
+      lines.push('Restores the backup\'s default theme and on/off state');
+    }
+    
+    return lines.length > 0 ? lines.join('\n') : 'Nothing would change.';
+  }
+
+  async confirmRestore() {
+    if (!this.restoreSource) {
+      return;
+    }
+    
+    const mode = this.getRestoreMode();
+    if (mode === 'replace' && !confirm('Replace all themes and settings with the backup? A snapshot of the current data is kept.')) {
+      return;
+    }
+    
+    try {
+      await this.callThemeStore(Object.assign({ action: 'restoreBackup', mode: mode }, this.restoreSource));
+      this.selectRestoreSource(null);
+      this.loadSnapshots();
+      await this.loadThemes();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      alert('Error restoring backup: ' + error.message);
+    }
+  }
+
+  // The background records a failed schema migration instead of saving half-upgraded data
+  updateStorageWarning(migrationError) {
+    this.storageWarning.classList.toggle('show', !!migrationError);
+    this.storageWarning.textContent = migrationError
+      ? `Your themes couldn't be upgraded to this version and were left unchanged. ${migrationError.message}`
+      : '';
+  }
+
+  // Resolve the themes that are live on the active tab, the same way the content script does
+  updateLiveThemes() {
+    if (!this.isEnabled || !this.activeTabUrl || ThemeResolver.isBlocked(this.blocklist, this.activeTabUrl)) {
+      this.liveThemeIds = [];
+      return;
+    }
+    
+    this.liveThemeIds = ThemeResolver
+      .resolveThemeLayers(this.themes, this.themeOrder, this.currentThemeId, this.activeTabUrl)
+      .map(theme => theme.id);
+  }
+
   updateThemeUI() {
-    // Update theme list
+    this.updateLiveThemes();
+    this.updateSiteBar();
+    if (this.exceptionsModal.classList.contains('show')) {
+      this.renderExceptions();
+    }
+    
+    // Update theme list, highest priority layer first
     this.themeList.innerHTML = '';
-    Object.values(this.themes).forEach((theme, index) => {
+    ThemeResolver.getOrderedThemes(this.themes, this.themeOrder).forEach((theme, index) => {
       const themeItem = document.createElement('div');
-      const isActive = theme.id === this.currentThemeId;
+      // Highlight themes live on the current tab; the selected icon marks enabled layers
+      const isActive = this.liveThemeIds.includes(theme.id);
+      const isLayer = ThemeResolver.isLayerEnabled(theme);
+      const isDefault = theme.id === this.currentThemeId;
       themeItem.className = `theme-item ${isActive ? 'active' : 'inactive'}`;
       themeItem.dataset.themeId = theme.id;
+      themeItem.draggable = true;
       
       // Generate URL display for theme
-      const themeUrl = theme.websiteUrl ? 
-        `for ${theme.websiteUrl}` : 
-        'for all sites';
+      let themeUrl = `for ${ThemeResolver.describeUrlRules(theme)}`;
+      if (isDefault) {
+        themeUrl += ' · default';
+      }
       const updatedTime = this.getRelativeTime(theme.updatedAt);
       
-      // Use different icons for selected vs unselected themes
-      const themeIconSvg = isActive ? 
-        `<img src="icons/icon-theme-seclected.svg" width="24" height="24" alt="Selected theme">` :
-        `<img src="icons/icon-theme-unselected.svg" width="24" height="24" alt="Unselected theme">`;
+      // Use different icons for enabled vs disabled layers
+      const themeIconSvg = isLayer ? 
+        `<img src="icons/icon-theme-seclected.svg" width="24" height="24" alt="Layer enabled">` :
+        `<img src="icons/icon-theme-unselected.svg" width="24" height="24" alt="Layer disabled">`;
 
       themeItem.innerHTML = `
-        <div class="theme-icon">
+        <div class="theme-icon" data-action="toggle-layer" title="${isLayer ? 'Disable layer' : 'Enable layer'}">
           ${themeIconSvg}
         </div>
         <div class="theme-content">
-          <div class="theme-name">${theme.name}</div>
+          <div class="theme-name"></div>
           <div class="theme-details">
-            <div class="theme-url">${themeUrl}</div>
+            <div class="theme-url" title="Edit URL rules"></div>
             <div class="theme-updated">${updatedTime}</div>
           </div>
         </div>
@@ -189,14 +638,31 @@ class ThemeEngine {
           <img src="icons/icon-edit.svg" width="24" height="24" alt="Edit theme">
         </div>
       `;
+      // Names and URL rules are user text, so they never go through innerHTML
+      themeItem.querySelector('.theme-name').textContent = theme.name;
+      themeItem.querySelector('.theme-url').textContent = themeUrl;
       
-      // Add click event to switch theme
+      // Add click event to make this the default theme
       themeItem.addEventListener('click', (e) => {
-        if (!e.target.closest('.theme-edit-button')) {
+        if (!e.target.closest('.theme-edit-button') && !e.target.closest('.theme-icon') &&
+            !e.target.closest('.theme-url')) {
           this.switchTheme(theme.id);
         }
       });
       
+      // Add URL rules event
+      themeItem.querySelector('.theme-url').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openEditThemeModal(theme.id);
+      });
+      
+      // Add layer toggle event
+      const layerToggle = themeItem.querySelector('.theme-icon');
+      layerToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleLayer(theme.id);
+      });
+      
       // Add edit button event
       const editBtn = themeItem.querySelector('.theme-edit-button');
       editBtn.addEventListener('click', (e) => {
@@ -204,17 +670,108 @@ class ThemeEngine {
         this.openEditor(theme.id);
       });
       
+      this.setupDragAndDrop(themeItem, theme.id);
+      
       this.themeList.appendChild(themeItem);
     });
   }
 
+  // Drag theme items to change layer priority
+  setupDragAndDrop(themeItem, themeId) {
+    themeItem.addEventListener('dragstart', (e) => {
+      this.draggedThemeId = themeId;
+      themeItem.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    themeItem.addEventListener('dragend', () => {
+      this.draggedThemeId = null;
+      themeItem.classList.remove('dragging');
+    });
+
+    themeItem.addEventListener('dragover', (e) => {
+      if (this.draggedThemeId && this.draggedThemeId !== themeId) {
+        e.preventDefault();
+        themeItem.classList.add('drag-over');
+      }
+    });
+
+    themeItem.addEventListener('dragleave', () => {
+      themeItem.classList.remove('drag-over');
+    });
+
+    themeItem.addEventListener('drop', (e) => {
+      e.preventDefault();
+      themeItem.classList.remove('drag-over');
+      if (this.draggedThemeId && this.draggedThemeId !== themeId) {
+        this.moveTheme(this.draggedThemeId, themeId);
+      }
+    });
+  }
+
+  async moveTheme(themeId, targetThemeId) {
+    const order = this.themeOrder.filter(id => id !== themeId);
+    const targetIndex = order.indexOf(targetThemeId);
+    const fromIndex = this.themeOrder.indexOf(themeId);
+    
+    // Dropping onto an item below takes its place, dropping onto one above goes in front of it
+    const insertIndex = fromIndex > targetIndex ? targetIndex : targetIndex + 1;
+    order.splice(insertIndex, 0, themeId);
+    
+    this.themeOrder = order;
+    try {
+      await this.callThemeStore({ action: 'setThemeOrder', themeOrder: order });
+    } catch (error) {
+      console.error('Error reordering themes:', error);
+      alert('Error reordering themes');
+      return;
+    }
+    
+    this.updateThemeUI();
+    
+    if (this.isEnabled) {
+      this.applyCSS();
+    }
+  }
+
+  async toggleLayer(themeId) {
+    const theme = this.themes[themeId];
+    if (!theme) {
+      return;
+    }
+
+    try {
+      const response = await this.callThemeStore({
+        action: 'updateTheme',
+        themeId: themeId,
+        patch: { enabled: !ThemeResolver.isLayerEnabled(theme) }
+      });
+      this.themes[themeId] = response.theme;
+    } catch (error) {
+      console.error('Error toggling layer:', error);
+      alert('Error toggling layer');
+      return;
+    }
+    
+    this.updateThemeUI();
+    
+    if (this.isEnabled) {
+      this.applyCSS();
+    }
+  }
+
   async switchTheme(themeId) {
     if (!themeId || !this.themes[themeId]) {
       return;
     }
 
+    try {
+      await this.callThemeStore({ action: 'setActive', themeId: themeId });
+    } catch (error) {
+      console.error('Error switching theme:', error);
+      return;
+    }
     this.currentThemeId = themeId;
-    await this.setStorageData({ currentThemeId: this.currentThemeId });
     
     this.updateThemeUI();
     
@@ -247,9 +804,141 @@ class ThemeEngine {
     }
   }
 
+  // Shows whether theming is off on the active tab, with the matching quick actions
+  updateSiteBar() {
+    let target = null;
+    try {
+      target = this.activeTabUrl ? new URL(this.activeTabUrl) : null;
+    } catch (error) {
+      target = null;
+    }
+    
+    // Only web pages can be themed, so there's nothing to disable elsewhere
+    const isWebPage = !!target && (target.protocol === 'http:' || target.protocol === 'https:');
+    this.siteBar.style.display = isWebPage ? '' : 'none';
+    this.exceptionsBtn.textContent = this.blocklist.length > 0 ? `Exceptions (${this.blocklist.length})` : 'Exceptions';
+    if (!isWebPage) {
+      return;
+    }
+    
+    const entry = ThemeResolver.getBlockingEntry(this.blocklist, this.activeTabUrl);
+    this.siteBar.classList.toggle('blocked', !!entry);
+    this.disableSiteBtn.style.display = entry ? 'none' : '';
+    this.disablePageBtn.style.display = entry ? 'none' : '';
+    this.enableHereBtn.style.display = entry ? '' : 'none';
+    
+    if (!entry) {
+      this.siteStatus.textContent = target.hostname;
+    } else if (entry.type === 'site') {
+      this.siteStatus.textContent = `Disabled on ${entry.value}`;
+    } else {
+      this.siteStatus.textContent = 'Disabled on this page';
+    }
+    this.siteStatus.title = entry ? entry.value : this.activeTabUrl;
+    
+    const isFallback = this.injectionMode === 'insertCSS';
+    this.siteMode.classList.toggle('show', isFallback);
+    this.siteMode.textContent = isFallback
+      ? 'This page\'s security policy blocks style elements, so themes are injected by the extension'
+      : '';
+  }
+
+  async disableOnActiveTab(type) {
+    if (!this.activeTabUrl) {
+      return;
+    }
+    
+    try {
+      const entry = ThemeResolver.createBlockEntry(type, this.activeTabUrl);
+      if (!this.blocklist.some(existing => existing.type === entry.type && existing.value === entry.value)) {
+        this.blocklist = [...this.blocklist, entry];
+      }
+      
+      // Content scripts on matching pages drop their themes when the blocklist changes
+      await this.setStorageData({ blocklist: this.blocklist });
+      this.updateThemeUI();
+    } catch (error) {
+      console.error('Error disabling theming:', error);
+      alert('Error disabling theming on this site');
+    }
+  }
+
+  // Removes every exception that turns theming off on the active tab
+  async enableOnActiveTab() {
+    try {
+      this.blocklist = this.blocklist.filter(entry => !ThemeResolver.isBlocked([entry], this.activeTabUrl));
+      await this.setStorageData({ blocklist: this.blocklist });
+      this.updateThemeUI();
+    } catch (error) {
+      console.error('Error enabling theming:', error);
+      alert('Error enabling theming on this site');
+    }
+  }
+
+  async removeException(index) {
+    try {
+      this.blocklist = this.blocklist.filter((entry, i) => i !== index);
+      await this.setStorageData({ blocklist: this.blocklist });
+      this.updateThemeUI();
+    } catch (error) {
+      console.error('Error removing exception:', error);
+      alert('Error removing exception');
+    }
+  }
+
+  openExceptionsModal() {
+    this.renderExceptions();
+    this.exceptionsModal.classList.add('show');
+  }
+
+  renderExceptions() {
+    this.exceptionsList.innerHTML = '';
+    
+    if (this.blocklist.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'exceptions-empty';
+      empty.textContent = 'Theming is on everywhere. Use "Disable on this site" to add an exception.';
+      this.exceptionsList.appendChild(empty);
+      return;
+    }
+    
+    this.blocklist.forEach((entry, index) => {
+      const item = document.createElement('div');
+      item.className = 'exception-item';
+      
+      const type = document.createElement('span');
+      type.className = 'exception-type';
+      type.textContent = entry.type === 'site' ? 'Site' : 'Page';
+      
+      const value = document.createElement('span');
+      value.className = 'exception-value';
+      value.textContent = entry.value;
+      value.title = entry.value;
+      
+      const date = document.createElement('span');
+      date.className = 'exception-date';
+      date.textContent = entry.createdAt ? new Date(entry.createdAt).toLocaleDateString() : '';
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'modal-close';
+      removeButton.title = 'Enable theming here again';
+      removeButton.innerHTML = '&times;';
+      removeButton.addEventListener('click', () => this.removeException(index));
+      
+      item.appendChild(type);
+      item.appendChild(value);
+      item.appendChild(date);
+      item.appendChild(removeButton);
+      this.exceptionsList.appendChild(item);
+    });
+  }
+
   openEditor(themeId) {
-    // Open the editor page in a new window
-    const editorUrl = chrome.runtime.getURL('editor.html') + `?theme=${themeId}`;
+    // Open the editor page in a new window, bound to the tab the popup was opened on
+    let editorUrl = chrome.runtime.getURL('editor.html') + `?theme=${themeId}`;
+    if (this.activeTabId) {
+      editorUrl += `&tab=${this.activeTabId}`;
+    }
     chrome.windows.create({
       url: editorUrl,
       type: 'popup',
@@ -258,13 +947,35 @@ class ThemeEngine {
     });
   }
 
-  openCreateThemeModal() {
+  openCreateThemeModal(prefill = {}) {
     this.modalMode = 'create';
     this.editingThemeId = null;
+    this.pendingThemeCSS = prefill.css || null;
     this.modalTitle.textContent = 'Create New Theme';
-    this.themeNameInput.value = '';
-    this.themeDescriptionInput.value = '';
-    this.themeWebsiteUrlInput.value = '';
+    this.themeNameInput.value = prefill.name || '';
+    this.themeDescriptionInput.value = prefill.description || '';
+    this.urlRulesEditor.setRules(prefill.urlRules || ThemeSettings.createUrlRules(this.settings.defaultUrlScope, this.activeTabUrl));
+    this.urlRulesEditor.setTestUrl(this.activeTabUrl);
+    this.themeModal.classList.add('show');
+    this.themeNameInput.focus();
+  }
+
+  openEditThemeModal(themeId) {
+    const theme = this.themes[themeId];
+    if (!theme) {
+      return;
+    }
+    
+    this.modalMode = 'edit';
+    this.editingThemeId = themeId;
+    // Saving checks the theme wasn't changed elsewhere since the dialog opened
+    this.editingRevision = theme.revision || 0;
+    this.pendingThemeCSS = null;
+    this.modalTitle.textContent = 'Edit Theme';
+    this.themeNameInput.value = theme.name || '';
+    this.themeDescriptionInput.value = theme.description || '';
+    this.urlRulesEditor.setRules(ThemeResolver.getUrlRules(theme));
+    this.urlRulesEditor.setTestUrl(this.activeTabUrl);
     this.themeModal.classList.add('show');
     this.themeNameInput.focus();
   }
@@ -272,49 +983,46 @@ class ThemeEngine {
   closeModal() {
     this.themeModal.classList.remove('show');
     this.editingThemeId = null;
+    this.pendingThemeCSS = null;
   }
 
   async saveThemeFromModal() {
     const name = this.themeNameInput.value.trim();
     const description = this.themeDescriptionInput.value.trim();
-    const websiteUrl = this.themeWebsiteUrlInput.value.trim();
+    const urlRules = this.urlRulesEditor.getRules();
     
     if (!name) {
       alert('Please enter a theme name');
       return;
     }
+    
+    if (this.urlRulesEditor.hasErrors()) {
+      alert('Please fix the invalid URL rules first');
+      return;
+    }
 
     try {
       if (this.modalMode === 'create') {
-        // Create new theme
-        const newThemeId = 'theme_' + Date.now();
-        const newTheme = {
-          id: newThemeId,
-          name: name,
-          description: description,
-          websiteUrl: websiteUrl,
-          css: '--black: #000;\n--text-color: var(--black);',
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        };
-        
-        this.themes[newThemeId] = newTheme;
-        this.currentThemeId = newThemeId;
+        const response = await this.callThemeStore({
+          action: 'createTheme',
+          activate: true,
+          theme: {
+            name: name,
+            description: description,
+            urlRules: urlRules,
+            css: this.pendingThemeCSS || '--black: #000;\n--text-color: var(--black);'
+          }
+        });
+        this.currentThemeId = response.theme.id;
         
       } else if (this.modalMode === 'edit' && this.editingThemeId) {
-        // Edit existing theme
-        this.themes[this.editingThemeId].name = name;
-        this.themes[this.editingThemeId].description = description;
-        this.themes[this.editingThemeId].websiteUrl = websiteUrl;
-        this.themes[this.editingThemeId].updatedAt = new Date().toISOString();
+        const saved = await this.updateThemeFromModal({ name, description, urlRules });
+        if (!saved) {
+          return;
+        }
       }
       
-      await this.setStorageData({
-        themes: this.themes,
-        currentThemeId: this.currentThemeId
-      });
-      
-      this.updateThemeUI();
+      await this.loadThemes();
       this.closeModal();
       
       if (this.modalMode === 'create') {
@@ -328,6 +1036,24 @@ class ThemeEngine {
     }
   }
 
+  // Patches the edited fields; if the theme changed elsewhere since the
+  // dialog opened, asks before saving over it. Returns whether it was saved
+  async updateThemeFromModal(patch) {
+    const message = { action: 'updateTheme', themeId: this.editingThemeId, patch: patch };
+    try {
+      await this.callThemeStore(Object.assign({ revision: this.editingRevision }, message));
+    } catch (error) {
+      if (!error.conflict) {
+        throw error;
+      }
+      if (!confirm(`"${error.theme.name}" was changed in another window while you were editing it. Save your changes over it?`)) {
+        return false;
+      }
+      await this.callThemeStore(message);
+    }
+    return true;
+  }
+
   async deleteTheme(themeId) {
     if (!themeId || !this.themes[themeId]) {
       return;
@@ -344,20 +1070,9 @@ class ThemeEngine {
     }
 
     try {
-      delete this.themes[themeId];
-      
-      // If we deleted the current theme, switch to another one
-      if (themeId === this.currentThemeId) {
-        const remainingThemes = Object.keys(this.themes);
-        this.currentThemeId = remainingThemes[0];
-      }
-      
-      await this.setStorageData({
-        themes: this.themes,
-        currentThemeId: this.currentThemeId
-      });
-      
-      this.updateThemeUI();
+      // The store drops the theme's draft and revision history with it
+      await this.callThemeStore({ action: 'deleteTheme', themeId: themeId });
+      await this.loadThemes();
       
     } catch (error) {
       console.error('Error deleting theme:', error);
@@ -368,6 +1083,7 @@ class ThemeEngine {
   toggleTheme() {
     this.isEnabled = !this.isEnabled;
     this.updateToggleState();
+    this.updateThemeUI();
     this.saveToggleState();
     
     if (this.isEnabled) {
@@ -397,15 +1113,21 @@ class ThemeEngine {
     if (!this.isEnabled) return;
     
     try {
-      if (this.currentThemeId && this.themes[this.currentThemeId]) {
-        const theme = this.themes[this.currentThemeId];
-        const processedCSS = this.processCSS(theme.css);
+      this.updateLiveThemes();
+      if (this.liveThemeIds.length > 0) {
+        // Layers go out in cascade order, lowest priority first
+        const layers = this.liveThemeIds.map(themeId => ({
+          themeId: themeId,
+          css: this.processCSS(this.themes[themeId].css, this.themes[themeId].overrideStrategy)
+        }));
         
         // Send message to content script to apply CSS immediately
         this.sendMessageToContentScript({
-          action: 'applyCSS',
-          css: processedCSS
+          action: 'applyLayers',
+          layers: layers
         });
+      } else {
+        this.removeCSS();
       }
     } catch (error) {
       console.error('Error applying CSS:', error);
@@ -423,87 +1145,12 @@ class ThemeEngine {
     }
   }
 
-  processCSS(rawCSS) {
-    // Simple approach: just add !important to all CSS rules to ensure they override webpage styles
-    // Extract CSS variables and put them in :root
-    const lines = rawCSS.split('\n');
-    const cssVariables = [];
-    const otherCSS = [];
-    
-    lines.forEach(line => {
-      const trimmedLine = line.trim();
-      if (trimmedLine && trimmedLine.startsWith('--') && trimmedLine.includes(':')) {
-        // This is a CSS variable definition
-        cssVariables.push('  ' + trimmedLine);
-      } else if (trimmedLine) {
-        // This is regular CSS
-        otherCSS.push(line);
-      } else {
-        // Empty line - preserve in other CSS
-        otherCSS.push(line);
-      }
-    });
-
-    // Process regular CSS to add !important
-    const processedCSS = this.addImportantToCSS(otherCSS.join('\n'));
-    
-    // Combine everything: CSS variables in :root first, then all other CSS
-    let result = '';
-    if (cssVariables.length > 0) {
-      // Use high specificity to ensure our variables override webpage variables
-      result += ':root {\n' + cssVariables.join('\n') + '\n}\n';
-      // Also add to html and body for extra specificity
-      result += 'html, body {\n' + cssVariables.join('\n') + '\n}\n\n';
-    }
-    if (processedCSS.trim()) {
-      result += processedCSS;
-    }
-    
-    return result;
-  }
-
-  // Removed complex element generation - let users write their own CSS rules
-
-  addImportantToCSS(css) {
-    // Split CSS into rules
-    const rules = css.split('}');
-    const processedRules = rules.map(rule => {
-      if (!rule.trim()) return rule;
-      
-      // Split rule into selector and properties
-      const parts = rule.split('{');
-      if (parts.length !== 2) return rule;
-      
-      const selector = parts[0].trim();
-      const properties = parts[1].trim();
-      
-      if (!properties) return rule;
-      
-      // Process each property to add !important
-      const processedProperties = properties.split(';')
-        .map(property => {
-          const trimmedProperty = property.trim();
-          if (!trimmedProperty) return trimmedProperty;
-          
-          // Skip if already has !important
-          if (trimmedProperty.includes('!important')) {
-            return trimmedProperty;
-          }
-          
-          // Add !important to the property
-          return trimmedProperty + ' !important';
-        })
-        .filter(property => property) // Remove empty properties
-        .join('; ');
-      
-      return `${selector} {\n  ${processedProperties}\n}`;
-    });
-    
-    return processedRules.join('\n');
+  processCSS(rawCSS, strategy) {
+    // Compile theme CSS: hoist top-level variables to :root and apply the
+    // theme's override strategy so it wins over webpage styles
+    return this.cssCompiler.compile(rawCSS, { strategy });
   }
 
-  // Removed automatic CSS generation - variables are just made available in :root
-
   sendMessageToContentScript(message, callback = null) {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (tabs[0]) {
@@ -519,6 +1166,23 @@ class ThemeEngine {
     });
   }
 
+  // Sends a theme change to the background's ThemeStore, which applies changes
+  // one at a time. Resolves with the response, or rejects with the store's
+  // error, which has conflict and the stored theme when a revision was stale
+  callThemeStore(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No response from the theme store'));
+        } else if (!response.success) {
+          reject(Object.assign(new Error(response.error), { conflict: response.conflict, theme: response.theme }));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
   // Helper methods for Chrome storage
   getStorageData(keys) {
     return new Promise((resolve) => {
@@ -574,27 +1238,49 @@ class ThemeEngine {
   }
 
   async importTheme(themeData) {
+    // A backup file holds every theme, so it goes through the restore flow
+    if (themeData && themeData.format === ThemeBackup.FORMAT) {
+      this.openBackupModal();
+      this.selectRestoreSource({ bundle: themeData }, 'Restoring the imported backup');
+      return;
+    }
+    
+    const parsed = ThemeFormat.parse(themeData);
+    if (parsed.errors.length > 0) {
+      alert('This theme can\'t be imported:\n\n- ' + parsed.errors.join('\n- '));
+      return;
+    }
+    
     try {
-      const newThemeId = 'theme_' + Date.now();
+      const imported = parsed.theme;
+      const now = new Date().toISOString();
+      
+      // Keep the exported id so a round trip preserves it, unless it's taken
       const newTheme = {
-        id: newThemeId,
-        name: themeData.name || 'Imported Theme',
-        description: themeData.description || 'Imported theme',
-        websiteUrl: themeData.websiteUrl || '',
-        css: themeData.css || '--black: #000;\n--text-color: var(--black);',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+        id: imported.id,
+        name: imported.name || 'Imported Theme',
+        description: imported.description || 'Imported theme',
+        urlRules: imported.urlRules,
+        overrideStrategy: imported.overrideStrategy,
+        css: imported.css,
+        createdAt: imported.createdAt || now,
+        updatedAt: imported.updatedAt || now
       };
       
-      this.themes[newThemeId] = newTheme;
-      this.currentThemeId = newThemeId;
+      if (typeof imported.enabled === 'boolean') {
+        newTheme.enabled = imported.enabled;
+      }
       
-      await this.setStorageData({
-        themes: this.themes,
-        currentThemeId: this.currentThemeId
-      });
+      await this.callThemeStore({ action: 'createTheme', activate: true, theme: newTheme });
+      await this.loadThemes();
       
-      this.updateThemeUI();
+      const notes = parsed.warnings.slice();
+      if (parsed.ignored.length > 0) {
+        notes.unshift(`Ignored fields: ${parsed.ignored.join(', ')}`);
+      }
+      if (notes.length > 0) {
+        alert(`Imported "${newTheme.name}".\n\n- ${notes.join('\n- ')}`);
+      }
       
     } catch (error) {
       console.error('Error importing theme:', error);
@@ -607,15 +1293,88 @@ class ThemeEngine {
     this.sendMessageToContentScript({
       action: 'scanPage'
     }, (response) => {
-      if (response && response.success) {
-        // Process scanned data and potentially create a new theme
-        console.log('Page scanned successfully:', response.data);
+      if (response && response.success && response.data) {
+        this.createThemeFromScan(response.data);
       } else {
         console.log('Failed to scan page');
+        alert('Unable to scan this page. Try reloading it first.');
       }
     });
   }
 
+  // The picked element goes to the editor bound to the tab, or to a new one
+  // the background opens; the popup closes so the page can be clicked
+  startElementPicker() {
+    this.sendMessageToContentScript({
+      action: 'startPicker'
+    }, (response) => {
+      if (response && response.success) {
+        window.close();
+      } else {
+        alert('Unable to pick elements on this page. Try reloading it first.');
+      }
+    });
+  }
+
+  // Open the create modal prefilled with the variables found on the page
+  createThemeFromScan(scan) {
+    const variableCount = scan.groups.reduce((count, group) => count + group.variables.length, 0);
+    if (variableCount === 0) {
+      alert('No CSS variables found on this page');
+      return;
+    }
+
+    this.openCreateThemeModal({
+      name: `${scan.host} theme`,
+      description: `Scanned from ${scan.host} (${variableCount} variable${variableCount > 1 ? 's' : ''})`,
+      urlRules: { include: [{ type: 'domain', value: scan.host, subdomains: false }], exclude: [] },
+      css: this.buildCSSFromScan(scan)
+    });
+  }
+
+  buildCSSFromScan(scan) {
+    const formatVariable = (variable, indent) => {
+      // Keep the declared value so var() references stay linked, and note what it resolves to
+      const resolved = variable.resolvedValue && variable.resolvedValue !== variable.value ?
+        ` /* ${variable.resolvedValue.replace(/\*\//g, '* /')} */` :
+        '';
+      return `${indent}${variable.name}: ${variable.value};${resolved}`;
+    };
+
+    const blocks = [];
+    if (scan.skippedSheets > 0) {
+      blocks.push(`/* ${scan.skippedSheets} cross-origin stylesheet${scan.skippedSheets > 1 ? 's' : ''} could not be scanned */`);
+    }
+
+    // Base values first, so conditional ones still override them when they apply
+    const groups = scan.groups.filter(group => !(group.conditions || []).length)
+      .concat(scan.groups.filter(group => (group.conditions || []).length));
+
+    groups.forEach(group => {
+      const conditions = group.conditions || [];
+      const isRoot = group.selector === ':root' || group.selector === 'html';
+      if (isRoot && conditions.length === 0) {
+        // Top-level variables are compiled onto :root
+        blocks.push(group.variables.map(variable => formatVariable(variable, '')).join('\n'));
+        return;
+      }
+
+      // Variables set under @media or @supports stay inside it, after the base values.
+      // Root ones are written bare so the compiler hoists them like the base values
+      const indent = '  '.repeat(conditions.length);
+      let block = isRoot ?
+        group.variables.map(variable => formatVariable(variable, indent)).join('\n') :
+        `${indent}${group.selector} {\n${group.variables.map(variable => formatVariable(variable, indent + '  ')).join('\n')}\n${indent}}`;
+      conditions.slice().reverse().forEach((condition, index) => {
+        const outer = '  '.repeat(conditions.length - index - 1);
+        block = `${outer}${condition} {\n${block}\n${outer}}`;
+      });
+      blocks.push(block);
+    });
+
+    return blocks.join('\n\n');
+  }
+
 
 }
 
@@ -0,0 +1,33 @@
+/*
+ * Theme Engine Shadow Root Hook
+ * Runs in the page's own JavaScript world so it can see attachShadow() calls
+ * made by the page, and tells the content script about new open shadow roots.
+ */
+
+(() => {
+  const SHADOW_ROOT_EVENT = 'theme-engine-shadow-root';
+  const originalAttachShadow = Element.prototype.attachShadow;
+
+  // Already hooked by an earlier injection into this frame
+  if (!originalAttachShadow || originalAttachShadow.themeEngineHooked) {
+    return;
+  }
+
+  function attachShadow(init) {
+    const shadowRoot = originalAttachShadow.call(this, init);
+
+    if (init && init.mode === 'open') {
+      // Wait a tick so hosts created by custom element constructors are usually connected;
+      // the content script also picks up hosts when they're inserted later
+      const host = this;
+      queueMicrotask(() => {
+        host.dispatchEvent(new CustomEvent(SHADOW_ROOT_EVENT, { bubbles: true, composed: true }));
+      });
+    }
+
+    return shadowRoot;
+  }
+
+  attachShadow.themeEngineHooked = true;
+  Element.prototype.attachShadow = attachShadow;
+})();
@@ -0,0 +1,208 @@
+/*
+ * Theme Engine Backup
+ * Builds and reads backup bundles of every theme and setting, plans restores
+ * and keeps rolling snapshots taken before destructive operations.
+ * Shared by the background service worker and the popup; needs ThemeResolver
+ * and ThemeFormat.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeBackup) {
+
+const BACKUP_FORMAT = 'theme-engine-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Storage keys a bundle holds: every theme, unpublished drafts, settings,
+// the blocklist and which themes are active
+const BACKUP_KEYS = ['themes', 'themeOrder', 'currentThemeId', 'drafts', 'isEnabled', 'settings', 'blocklist'];
+
+// Snapshots kept under the snapshots key, newest first
+const MAX_SNAPSHOTS = 5;
+
+class ThemeBackup {
+  static get FORMAT() {
+    return BACKUP_FORMAT;
+  }
+
+  static get BACKUP_KEYS() {
+    return BACKUP_KEYS;
+  }
+
+  // Builds a bundle from stored values
+  static createBundle(data) {
+    const bundle = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      data: {}
+    };
+
+    // Copied, since callers go on to save the stored values they pass in
+    BACKUP_KEYS.filter(key => data[key] !== undefined).forEach(key => {
+      bundle.data[key] = JSON.parse(JSON.stringify(data[key]));
+    });
+
+    // Revision numbers only guard edits on this device
+    Object.values(bundle.data.themes || {}).forEach(theme => delete theme.revision);
+    return bundle;
+  }
+
+  // Validates a bundle read from a file. Returns { data, errors } where data
+  // holds the bundle's values with every theme in the current shape
+  static parse(bundle) {
+    const result = { data: null, errors: [] };
+
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) {
+      result.errors.push('The file is not a Theme Engine backup');
+      return result;
+    }
+    if (typeof bundle.version !== 'number' || bundle.version > BACKUP_FORMAT_VERSION) {
+      result.errors.push(`Backup format version ${bundle.version} is not supported by this extension (${BACKUP_FORMAT_VERSION})`);
+      return result;
+    }
+
+    const source = bundle.data || {};
+    if (!source.themes || typeof source.themes !== 'object' || Array.isArray(source.themes) || Object.keys(source.themes).length === 0) {
+      result.errors.push('The backup has no themes');
+      return result;
+    }
+
+    const themes = {};
+    Object.keys(source.themes).forEach(id => {
+      const record = Object.assign({}, source.themes[id], { id: id });
+      delete record.revision;
+      const parsed = ThemeFormat.parse(record);
+      if (parsed.errors.length > 0) {
+        result.errors.push(`Theme "${(source.themes[id] && source.themes[id].name) || id}": ${parsed.errors.join(', ')}`);
+        return;
+      }
+
+      const theme = {};
+      Object.keys(parsed.theme).filter(field => parsed.theme[field] !== undefined).forEach(field => {
+        theme[field] = parsed.theme[field];
+      });
+      theme.createdAt = theme.createdAt || bundle.createdAt;
+      theme.updatedAt = theme.updatedAt || theme.createdAt;
+      themes[id] = theme;
+    });
+
+    if (Array.isArray(source.blocklist) && source.blocklist.some(entry => !entry || !['site', 'page'].includes(entry.type) || typeof entry.value !== 'string')) {
+      result.errors.push('The backup\'s blocklist has invalid entries');
+    }
+
+    if (result.errors.length > 0) {
+      return result;
+    }
+
+    result.data = Object.assign({}, source, { themes });
+    return result;
+  }
+
+  // Works out how restoring a parsed bundle changes the current stored values.
+  // 'replace' makes everything match the backup. 'merge' adds the backup's
+  // missing themes, takes its version of a theme only when that is newer,
+  // adds its blocklist entries and settings that aren't set, and keeps the
+  // current active selections. Returns { changes, summary }
+  static planRestore(current, backup, mode) {
+    const currentThemes = current.themes || {};
+    const themes = mode === 'replace' ? {} : Object.assign({}, currentThemes);
+    const summary = { mode, added: [], updated: [], removed: [], unchanged: 0, blocklistAdded: 0, blocklistRemoved: 0, settingsChanged: false };
+
+    Object.keys(backup.themes).forEach(id => {
+      const theme = backup.themes[id];
+      const existing = currentThemes[id];
+
+      if (!existing) {
+        summary.added.push(theme.name);
+      } else if (this.isSameTheme(existing, theme) || (mode === 'merge' && new Date(theme.updatedAt) <= new Date(existing.updatedAt))) {
+        summary.unchanged++;
+        themes[id] = existing;
+        return;
+      } else {
+        summary.updated.push(theme.name);
+      }
+      // Revisions keep going up so editors open on the old version notice
+      themes[id] = Object.assign({}, theme, { revision: ((existing && existing.revision) || 0) + 1 });
+    });
+
+    if (mode === 'replace') {
+      Object.keys(currentThemes).filter(id => !backup.themes[id]).forEach(id => {
+        summary.removed.push(currentThemes[id].name);
+      });
+    }
+
+    const changes = { themes };
+    const currentBlocklist = current.blocklist || [];
+    const backupBlocklist = backup.blocklist || [];
+    const hasEntry = (list, entry) => list.some(item => item.type === entry.type && item.value === entry.value);
+
+    if (mode === 'replace') {
+      changes.blocklist = backupBlocklist;
+      changes.settings = backup.settings || current.settings || {};
+      changes.drafts = backup.drafts || {};
+      changes.themeOrder = ThemeResolver.getOrderedThemes(themes, backup.themeOrder).map(theme => theme.id);
+      changes.currentThemeId = themes[backup.currentThemeId] ? backup.currentThemeId : changes.themeOrder[0];
+      if (typeof backup.isEnabled === 'boolean') {
+        changes.isEnabled = backup.isEnabled;
+      }
+      summary.blocklistAdded = backupBlocklist.filter(entry => !hasEntry(currentBlocklist, entry)).length;
+      summary.blocklistRemoved = currentBlocklist.filter(entry => !hasEntry(backupBlocklist, entry)).length;
+      summary.settingsChanged = JSON.stringify(changes.settings) !== JSON.stringify(current.settings || {});
+    } else {
+      const added = backupBlocklist.filter(entry => !hasEntry(currentBlocklist, entry));
+      changes.blocklist = [...currentBlocklist, ...added];
+      changes.settings = Object.assign({}, backup.settings, current.settings);
+      changes.drafts = Object.assign({}, backup.drafts, current.drafts);
+      // New themes go in where the backup ranked them relative to each other, below the current ones
+      const backupOrder = ThemeResolver.getOrderedThemes(backup.themes, backup.themeOrder).map(theme => theme.id);
+      changes.themeOrder = ThemeResolver.getOrderedThemes(themes, [...(current.themeOrder || []), ...backupOrder]).map(theme => theme.id);
+      changes.currentThemeId = themes[current.currentThemeId] ? current.currentThemeId : changes.themeOrder[0];
+      summary.blocklistAdded = added.length;
+      summary.settingsChanged = JSON.stringify(changes.settings) !== JSON.stringify(current.settings || {});
+    }
+
+    // Drafts and revision history of themes that are gone have nothing to belong to
+    Object.keys(changes.drafts).filter(id => !themes[id]).forEach(id => delete changes.drafts[id]);
+    changes.revisions = Object.assign({}, current.revisions);
+    Object.keys(changes.revisions).filter(id => !themes[id]).forEach(id => delete changes.revisions[id]);
+
+    return { changes, summary };
+  }
+
+  static isSameTheme(a, b) {
+    const content = theme => JSON.stringify([theme.name, theme.description || '', ThemeResolver.getUrlRules(theme), theme.css, theme.overrideStrategy, theme.enabled]);
+    return content(a) === content(b);
+  }
+
+  // Returns the snapshot list with a snapshot of the given stored values added
+  // and the oldest dropped past the limit
+  static addSnapshot(data, reason) {
+    const snapshots = Array.isArray(data.snapshots) ? data.snapshots : [];
+    let id = 'snapshot_' + Date.now();
+    while (snapshots.some(snapshot => snapshot.id === id)) {
+      id = 'snapshot_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+    }
+
+    const snapshot = {
+      id: id,
+      reason: reason,
+      createdAt: new Date().toISOString(),
+      bundle: this.createBundle(data)
+    };
+    return [snapshot, ...snapshots].slice(0, MAX_SNAPSHOTS);
+  }
+
+  // Snapshot list without the bundles, for showing in the popup
+  static describeSnapshots(snapshots) {
+    return (Array.isArray(snapshots) ? snapshots : []).map(snapshot => ({
+      id: snapshot.id,
+      reason: snapshot.reason,
+      createdAt: snapshot.createdAt,
+      themeCount: Object.keys((snapshot.bundle.data && snapshot.bundle.data.themes) || {}).length
+    }));
+  }
+}
+
+globalThis.ThemeBackup = ThemeBackup;
+
+}
@@ -0,0 +1,206 @@
+/*
+ * Theme Engine Theme Format
+ * Reads and writes the versioned JSON format used to import and export themes.
+ * Shared by the popup and editor; needs ThemeResolver and ThemeCSSCompiler.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeFormat) {
+
+const THEME_FORMAT = 'theme-engine-theme';
+const THEME_FORMAT_VERSION = 1;
+
+// Fields read on import and the type each must have
+const THEME_FIELDS = {
+  format: 'string',
+  version: 'number',
+  id: 'string',
+  name: 'string',
+  description: 'string',
+  urlRules: 'object',
+  websiteUrl: 'string',
+  urlPattern: 'string',
+  css: 'string',
+  overrideStrategy: 'string',
+  cssVariables: 'object',
+  enabled: 'boolean',
+  createdAt: 'string',
+  updatedAt: 'string'
+};
+
+// URL patterns that mean every site, which themes store as an empty websiteUrl
+const ALL_SITES_PATTERNS = ['*://*/*', '<all_urls>', '*'];
+
+class ThemeFormat {
+  // Builds the export document for a theme
+  static serialize(theme) {
+    const data = {
+      format: THEME_FORMAT,
+      version: THEME_FORMAT_VERSION,
+      id: theme.id,
+      name: theme.name || '',
+      description: theme.description || '',
+      urlRules: ThemeResolver.getUrlRules(theme),
+      css: theme.css || ''
+    };
+
+    if (theme.overrideStrategy) {
+      data.overrideStrategy = theme.overrideStrategy;
+    }
+    if (typeof theme.enabled === 'boolean') {
+      data.enabled = theme.enabled;
+    }
+    data.createdAt = theme.createdAt;
+    data.updatedAt = theme.updatedAt;
+
+    return data;
+  }
+
+  // Validates an imported document. Returns { theme, errors, ignored, warnings }:
+  // theme holds the recognised fields, errors make the import fail, ignored
+  // lists fields that were dropped and warnings describe fields that were adjusted
+  static parse(data) {
+    const result = { theme: null, errors: [], ignored: [], warnings: [] };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      result.errors.push('The file does not contain a theme object');
+      return result;
+    }
+
+    Object.keys(data).forEach(field => {
+      const expectedType = THEME_FIELDS[field];
+      if (!expectedType) {
+        result.ignored.push(field);
+      } else if (!this.hasType(data[field], expectedType)) {
+        result.errors.push(`"${field}" must be ${expectedType === 'object' ? 'an object' : 'a ' + expectedType}`);
+      }
+    });
+
+    if (data.format !== undefined && data.format !== THEME_FORMAT) {
+      result.errors.push(`Unknown format "${data.format}"`);
+    }
+
+    if (typeof data.version === 'number' && data.version > THEME_FORMAT_VERSION) {
+      result.errors.push(`Theme format version ${data.version} is newer than this extension supports (${THEME_FORMAT_VERSION})`);
+    }
+
+    ['createdAt', 'updatedAt'].forEach(field => {
+      if (typeof data[field] === 'string' && isNaN(new Date(data[field]).getTime())) {
+        result.errors.push(`"${field}" is not a valid date`);
+      }
+    });
+
+    if (this.hasType(data.urlRules, 'object')) {
+      this.validateUrlRules(data.urlRules, result);
+    }
+
+    if (typeof data.overrideStrategy === 'string' && !ThemeCSSCompiler.OVERRIDE_STRATEGIES[data.overrideStrategy]) {
+      result.errors.push(`Unknown override strategy "${data.overrideStrategy}", use one of: ${Object.keys(ThemeCSSCompiler.OVERRIDE_STRATEGIES).join(', ')}`);
+    }
+
+    const variablesCSS = this.hasType(data.cssVariables, 'object')
+      ? this.variablesToCSS(data.cssVariables, result)
+      : '';
+
+    if (data.css === undefined && data.cssVariables === undefined) {
+      result.errors.push('The theme has neither "css" nor "cssVariables"');
+    }
+
+    if (result.errors.length > 0) {
+      return result;
+    }
+
+    // Rule lists win over the single-URL fields older exports and the README used
+    let urlRules;
+    if (data.urlRules !== undefined) {
+      urlRules = ThemeResolver.getUrlRules({ urlRules: data.urlRules });
+      ['websiteUrl', 'urlPattern'].filter(field => data[field] !== undefined).forEach(field => {
+        result.ignored.push(field);
+        result.warnings.push(`"${field}" was ignored because "urlRules" is set`);
+      });
+    } else if (data.websiteUrl !== undefined) {
+      urlRules = ThemeResolver.getUrlRules({ websiteUrl: data.websiteUrl });
+      if (data.urlPattern !== undefined) {
+        result.ignored.push('urlPattern');
+        result.warnings.push('"urlPattern" was ignored because "websiteUrl" is set');
+      }
+    } else {
+      const urlPattern = (data.urlPattern || '').trim();
+      urlRules = ThemeResolver.getUrlRules({ websiteUrl: ALL_SITES_PATTERNS.includes(urlPattern) ? '' : urlPattern });
+    }
+
+    result.theme = {
+      id: data.id,
+      name: data.name,
+      description: data.description,
+      urlRules: urlRules,
+      css: [variablesCSS, data.css || ''].filter(Boolean).join('\n\n'),
+      overrideStrategy: data.overrideStrategy,
+      enabled: data.enabled,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt
+    };
+
+    return result;
+  }
+
+  static validateUrlRules(urlRules, result) {
+    ['include', 'exclude'].forEach(kind => {
+      const rules = urlRules[kind];
+      if (rules === undefined) {
+        return;
+      }
+      if (!Array.isArray(rules)) {
+        result.errors.push(`"urlRules.${kind}" must be a list`);
+        return;
+      }
+
+      rules.forEach((rule, index) => {
+        const label = `urlRules.${kind}[${index}]`;
+        if (!this.hasType(rule, 'object') || typeof rule.value !== 'string') {
+          result.errors.push(`"${label}" must be an object with a "value" string`);
+        } else if (!ThemeResolver.RULE_TYPES[rule.type]) {
+          result.errors.push(`"${label}" has unknown type "${rule.type}"`);
+        } else {
+          const error = ThemeResolver.validateRule(ThemeResolver.normalizeRule(rule));
+          if (error) {
+            result.errors.push(`"${label}": ${error}`);
+          }
+        }
+      });
+    });
+  }
+
+  static hasType(value, type) {
+    if (type === 'object') {
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    return typeof value === type;
+  }
+
+  // Writes a { name: value } map as top-level custom property declarations
+  static variablesToCSS(variables, result) {
+    const lines = [];
+
+    Object.keys(variables).forEach(name => {
+      const value = variables[name];
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        result.errors.push(`cssVariables "${name}" must be a string or number`);
+        return;
+      }
+
+      let property = name.trim();
+      if (!property.startsWith('--')) {
+        property = '--' + property.replace(/^-+/, '');
+        result.warnings.push(`cssVariables "${name}" was renamed to "${property}"`);
+      }
+      lines.push(`${property}: ${String(value).trim()};`);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+globalThis.ThemeFormat = ThemeFormat;
+
+}
@@ -0,0 +1,166 @@
+/*
+ * Theme Engine Theme History
+ * Keeps a capped log of theme revisions and diffs them line by line.
+ * Used by the theme editor and the background's theme store; needs ThemeResolver.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeHistory) {
+
+// Most revisions kept per theme
+const MAX_REVISIONS = 50;
+
+// Most characters of CSS kept per theme across all of its revisions
+const MAX_HISTORY_SIZE = 256 * 1024;
+
+// Auto-saves closer together than this replace the previous auto-save
+const COALESCE_WINDOW = 5 * 60 * 1000;
+
+// Above this many line comparisons the diff skips the LCS table
+const MAX_DIFF_CELLS = 4000000;
+
+class ThemeHistory {
+  // Builds a snapshot of the given theme values. The source is 'publish',
+  // 'auto' for draft auto-saves or 'revert'
+  static createRevision(values, source, createdAt) {
+    return {
+      id: 'rev_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 7),
+      name: values.name || '',
+      urlRules: ThemeResolver.getUrlRules(values),
+      overrideStrategy: values.overrideStrategy,
+      css: values.css || '',
+      source: source,
+      createdAt: createdAt || new Date().toISOString()
+    };
+  }
+
+  static isSameContent(a, b) {
+    // Revisions from before URL rules only have a websiteUrl
+    return a.css === b.css && a.name === b.name && a.overrideStrategy === b.overrideStrategy &&
+      JSON.stringify(ThemeResolver.getUrlRules(a)) === JSON.stringify(ThemeResolver.getUrlRules(b));
+  }
+
+  // Returns the revision list (newest first) with the revision added.
+  // Unchanged content is not recorded again, and an auto-save that follows
+  // another auto-save within the coalescing window replaces it
+  static addRevision(revisions, revision) {
+    const list = Array.isArray(revisions) ? revisions.slice() : [];
+    const latest = list[0];
+
+    if (latest && this.isSameContent(latest, revision)) {
+      return list;
+    }
+
+    if (latest && revision.source === 'auto' && latest.source === 'auto' &&
+        new Date(revision.createdAt) - new Date(latest.createdAt) < COALESCE_WINDOW) {
+      // Keep the start of the editing burst so the window doesn't slide forever
+      revision.createdAt = latest.createdAt;
+      list.shift();
+    }
+
+    list.unshift(revision);
+    return this.trimRevisions(list);
+  }
+
+  // Drops the oldest revisions beyond the count and size caps, always keeping the newest
+  static trimRevisions(revisions) {
+    const kept = [];
+    let size = 0;
+
+    for (const revision of revisions) {
+      size += revision.css.length;
+      if (kept.length > 0 && (kept.length >= MAX_REVISIONS || size > MAX_HISTORY_SIZE)) {
+        break;
+      }
+      kept.push(revision);
+    }
+
+    return kept;
+  }
+
+  // Line diff between two texts. Returns entries of type 'same', 'removed'
+  // or 'added' with their line numbers in the old and new text
+  static diffLines(oldText, newText) {
+    const oldLines = (oldText || '').split('\n');
+    const newLines = (newText || '').split('\n');
+    const result = [];
+
+    // Common leading and trailing lines don't need the LCS table
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length &&
+           oldLines[prefix] === newLines[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+           oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    for (let i = 0; i < prefix; i++) {
+      result.push({ type: 'same', text: oldLines[i], oldLine: i + 1, newLine: i + 1 });
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    this.diffMiddle(oldMiddle, newMiddle, prefix).forEach(entry => result.push(entry));
+
+    for (let i = 0; i < suffix; i++) {
+      const oldIndex = oldLines.length - suffix + i;
+      const newIndex = newLines.length - suffix + i;
+      result.push({ type: 'same', text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1 });
+    }
+
+    return result;
+  }
+
+  static diffMiddle(oldLines, newLines, offset) {
+    const result = [];
+    const rows = oldLines.length;
+    const cols = newLines.length;
+
+    if (rows * cols > MAX_DIFF_CELLS) {
+      // Too large to align, so show it as a block replacement
+      oldLines.forEach((text, i) => result.push({ type: 'removed', text, oldLine: offset + i + 1 }));
+      newLines.forEach((text, i) => result.push({ type: 'added', text, newLine: offset + i + 1 }));
+      return result;
+    }
+
+    // lengths[i][j] is the LCS length of oldLines[i..] and newLines[j..]
+    const lengths = [];
+    for (let i = rows; i >= 0; i--) {
+      lengths[i] = new Array(cols + 1).fill(0);
+      if (i === rows) {
+        continue;
+      }
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] = oldLines[i] === newLines[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+        result.push({ type: 'same', text: oldLines[i], oldLine: offset + i + 1, newLine: offset + j + 1 });
+        i++;
+        j++;
+      } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        result.push({ type: 'removed', text: oldLines[i], oldLine: offset + i + 1 });
+        i++;
+      } else {
+        result.push({ type: 'added', text: newLines[j], newLine: offset + j + 1 });
+        j++;
+      }
+    }
+
+    return result;
+  }
+}
+
+globalThis.ThemeHistory = ThemeHistory;
+
+}
@@ -0,0 +1,136 @@
+/*
+ * Theme Engine Storage Migrations
+ * Upgrades stored themes, drafts and revision history to the current schema.
+ * Used by the background service worker; needs ThemeResolver.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeMigrations) {
+
+// Storage keys the migrations read and rewrite, and so the ones backed up first
+const MIGRATED_KEYS = ['themes', 'themeOrder', 'currentThemeId', 'drafts', 'revisions'];
+
+// Ordered migrations; each upgrades data of the previous version to its own.
+// Data saved before schema versions existed is version 0. Migrations change
+// the data object in place and must leave already-upgraded records as they are
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Replace single website URLs with URL rule lists',
+    migrate(data) {
+      const convert = (record) => {
+        if (record && !record.urlRules && record.websiteUrl !== undefined) {
+          record.urlRules = ThemeResolver.getUrlRules(record);
+        }
+        if (record && record.urlRules) {
+          delete record.websiteUrl;
+        }
+      };
+
+      Object.values(data.themes || {}).forEach(convert);
+      Object.values(data.drafts || {}).forEach(convert);
+      Object.values(data.revisions || {}).forEach(list => (Array.isArray(list) ? list : []).forEach(convert));
+    }
+  },
+  {
+    version: 2,
+    description: 'Give every theme its id, timestamps and a place in the priority order',
+    migrate(data) {
+      if (!data.themes) {
+        return;
+      }
+
+      const now = new Date().toISOString();
+      Object.keys(data.themes).forEach(id => {
+        const theme = data.themes[id];
+        if (!theme || typeof theme !== 'object') {
+          throw new Error(`Theme "${id}" is not an object`);
+        }
+        theme.id = id;
+        theme.createdAt = theme.createdAt || theme.updatedAt || now;
+        theme.updatedAt = theme.updatedAt || theme.createdAt;
+      });
+
+      data.themeOrder = ThemeResolver.getOrderedThemes(data.themes, data.themeOrder).map(theme => theme.id);
+      if (!data.themes[data.currentThemeId]) {
+        data.currentThemeId = data.themeOrder[0];
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Add revision numbers used by the theme store',
+    migrate(data) {
+      Object.values(data.themes || {}).forEach(theme => {
+        if (typeof theme.revision !== 'number') {
+          theme.revision = 1;
+        }
+      });
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+class ThemeMigrations {
+  static get CURRENT_SCHEMA_VERSION() {
+    return CURRENT_SCHEMA_VERSION;
+  }
+
+  // Brings stored data up to the current schema. The data is backed up under
+  // migrationBackup before anything changes and the migrated data is written
+  // in a single set, so a failing migration leaves storage as it was and is
+  // recorded under migrationError. Resolves with { migrated, from, to } or
+  // { migrated: false, error }
+  static async run(storage = chrome.storage.local) {
+    const data = await storage.get([...MIGRATED_KEYS, 'schemaVersion']);
+    const from = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+
+    if (from > CURRENT_SCHEMA_VERSION) {
+      return this.fail(storage, from, `Stored data uses schema version ${from}, newer than this version of the extension supports (${CURRENT_SCHEMA_VERSION})`);
+    }
+    if (from === CURRENT_SCHEMA_VERSION) {
+      return { migrated: false, from, to: from };
+    }
+
+    // A new install has nothing to upgrade
+    if (!MIGRATED_KEYS.some(key => data[key] !== undefined)) {
+      await storage.set({ schemaVersion: CURRENT_SCHEMA_VERSION });
+      return { migrated: false, from, to: CURRENT_SCHEMA_VERSION };
+    }
+
+    const backup = {};
+    MIGRATED_KEYS.filter(key => data[key] !== undefined).forEach(key => {
+      backup[key] = data[key];
+    });
+    await storage.set({
+      migrationBackup: { schemaVersion: from, createdAt: new Date().toISOString(), data: backup }
+    });
+
+    const migrated = JSON.parse(JSON.stringify(backup));
+    for (const migration of MIGRATIONS.filter(item => item.version > from)) {
+      try {
+        migration.migrate(migrated);
+      } catch (error) {
+        return this.fail(storage, from, `Migration to schema version ${migration.version} (${migration.description}) failed: ${error.message}`);
+      }
+    }
+
+    await storage.set(Object.assign(migrated, { schemaVersion: CURRENT_SCHEMA_VERSION }));
+    await storage.remove('migrationError');
+    console.log(`Theme Engine: Migrated stored data from schema version ${from} to ${CURRENT_SCHEMA_VERSION}`);
+    return { migrated: true, from, to: CURRENT_SCHEMA_VERSION };
+  }
+
+  static async fail(storage, from, message) {
+    console.error('Theme Engine:', message);
+    await storage.set({
+      migrationError: { schemaVersion: from, message: message, createdAt: new Date().toISOString() }
+    });
+    return { migrated: false, error: message };
+  }
+}
+
+globalThis.ThemeMigrations = ThemeMigrations;
+
+}
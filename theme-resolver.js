@@ -0,0 +1,303 @@
+/*
+ * Theme Engine Theme Resolver
+ * Decides which stored themes apply to a given URL and in what order.
+ * Shared by the content script and the popup.
+ */
+
+// Prevent redeclaration when the content script is injected more than once
+if (!globalThis.ThemeResolver) {
+
+// Kinds of URL rule a theme can carry, and how specific a match of each kind is
+const RULE_TYPES = {
+  domain: { label: 'Domain', score: 300 },
+  prefix: { label: 'URL prefix', score: 400 },
+  match: { label: 'Match pattern', score: 100 },
+  regex: { label: 'Regex', score: 50 }
+};
+
+// Legacy websiteUrl values that meant every site
+const ALL_SITES_VALUES = ['', 'all sites', 'for all sites'];
+
+class ThemeResolver {
+  static get RULE_TYPES() {
+    return RULE_TYPES;
+  }
+
+  // Returns a theme's URL rules as { include: [...], exclude: [...] }, each rule
+  // being { type, value } plus `subdomains` for domain rules and `ignoreCase`
+  // for regex rules. Themes saved
+  // before rule lists existed get rules derived from their websiteUrl
+  static getUrlRules(theme) {
+    if (theme && theme.urlRules) {
+      return {
+        include: (theme.urlRules.include || []).map(rule => this.normalizeRule(rule)),
+        exclude: (theme.urlRules.exclude || []).map(rule => this.normalizeRule(rule))
+      };
+    }
+
+    const websiteUrl = ((theme && theme.websiteUrl) || '').trim();
+    if (ALL_SITES_VALUES.includes(websiteUrl.toLowerCase())) {
+      return { include: [], exclude: [] };
+    }
+
+    let rule;
+    if (websiteUrl.includes('*')) {
+      rule = this.parseMatchPattern(websiteUrl)
+        ? { type: 'match', value: websiteUrl }
+        : { type: 'regex', value: this.urlPatternToRegex(websiteUrl).source, ignoreCase: true };
+    } else {
+      // A site URL applied to its whole host and the host's subdomains
+      rule = { type: 'domain', value: this.getHostname(websiteUrl), subdomains: true };
+    }
+    return { include: [this.normalizeRule(rule)], exclude: [] };
+  }
+
+  static normalizeRule(rule) {
+    const normalized = { type: RULE_TYPES[rule.type] ? rule.type : 'domain', value: String(rule.value || '').trim() };
+    if (normalized.type === 'domain') {
+      normalized.value = this.getHostname(normalized.value);
+      normalized.subdomains = !!rule.subdomains;
+    } else if (normalized.type === 'regex') {
+      normalized.ignoreCase = !!rule.ignoreCase;
+    }
+    return normalized;
+  }
+
+  // Accepts "example.com", "*.example.com" or a full URL and returns the host name
+  static getHostname(value) {
+    const text = value.trim().toLowerCase().replace(/^\*\./, '');
+    try {
+      return new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : 'https://' + text).hostname;
+    } catch (error) {
+      return text;
+    }
+  }
+
+  // Returns why a rule can never match, or null when it is valid
+  static validateRule(rule) {
+    if (!rule.value) {
+      return 'Enter a value';
+    }
+    if (rule.type === 'match' && !this.parseMatchPattern(rule.value)) {
+      return 'Not a valid match pattern, e.g. *://*.example.com/*';
+    }
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.value);
+      } catch (error) {
+        return error.message;
+      }
+    }
+    return null;
+  }
+
+  // Whether a single rule matches the URL
+  static matchesRule(rule, url) {
+    if (this.validateRule(rule)) {
+      return false;
+    }
+
+    let current;
+    try {
+      current = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    switch (rule.type) {
+      case 'domain':
+        return current.hostname === rule.value ||
+          (rule.subdomains && current.hostname.endsWith('.' + rule.value));
+      case 'prefix': {
+        // Prefixes without a scheme are compared against the URL without its scheme
+        const target = /^[a-z][a-z0-9+.-]*:\/\//i.test(rule.value) ? current.href : current.href.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+        return target.toLowerCase().startsWith(rule.value.toLowerCase());
+      }
+      case 'match':
+        return this.parseMatchPattern(rule.value).test(current.href);
+      case 'regex':
+        return new RegExp(rule.value, rule.ignoreCase ? 'i' : '').test(current.href);
+      default:
+        return false;
+    }
+  }
+
+  // Evaluates a theme's rules against a URL. Returns { matches, rule, excluded }
+  // where rule is the include or exclude rule that decided the result, if any
+  static evaluateUrlRules(theme, url) {
+    const rules = this.getUrlRules(theme);
+
+    const exclude = rules.exclude.find(rule => this.matchesRule(rule, url));
+    if (exclude) {
+      return { matches: false, rule: exclude, excluded: true };
+    }
+
+    if (rules.include.length === 0) {
+      return { matches: true, rule: null, excluded: false };
+    }
+
+    // The most specific matching include rule is reported
+    const include = rules.include
+      .filter(rule => this.matchesRule(rule, url))
+      .sort((a, b) => this.getRuleScore(b) - this.getRuleScore(a))[0];
+    return { matches: !!include, rule: include || null, excluded: false };
+  }
+
+  static getRuleScore(rule) {
+    const score = RULE_TYPES[rule.type].score;
+    // A whole domain tree is less specific than one exact host
+    return rule.type === 'domain' && rule.subdomains ? score - 100 : score;
+  }
+
+  // Scores how specifically a theme targets the given URL:
+  // -1 means the theme does not apply, 0 means it applies to all sites,
+  // and higher values mean a more specific rule matched
+  static getMatchScore(theme, url) {
+    const result = this.evaluateUrlRules(theme, url);
+    if (!result.matches) {
+      return -1;
+    }
+    return result.rule ? this.getRuleScore(result.rule) : 0;
+  }
+
+  // Short human-readable description of a rule
+  static describeRule(rule) {
+    const suffix = rule.type === 'domain' && rule.subdomains ? ' and subdomains' : '';
+    return `${RULE_TYPES[rule.type].label} ${rule.value}${suffix}`;
+  }
+
+  // One-line summary of where a theme applies, for theme lists
+  static describeUrlRules(theme) {
+    const rules = this.getUrlRules(theme);
+    const list = items => {
+      const values = items.map(rule => rule.value);
+      return values.length > 2 ? `${values.slice(0, 2).join(', ')} +${values.length - 2}` : values.join(', ');
+    };
+
+    let summary = rules.include.length > 0 ? list(rules.include) : 'all sites';
+    if (rules.exclude.length > 0) {
+      summary += ` except ${list(rules.exclude)}`;
+    }
+    return summary;
+  }
+
+  // Turns a Chrome match pattern (https://developer.chrome.com/docs/extensions/develop/concepts/match-patterns)
+  // into a regex, or returns null when the pattern is invalid
+  static parseMatchPattern(pattern) {
+    const value = pattern.trim();
+    if (value === '<all_urls>') {
+      return /^(https?|file|ftp|wss?):\/\//i;
+    }
+
+    const match = value.match(/^(\*|https?|file|ftp|wss?|urn):\/\/(\*|\*\.[^/*]+|[^/*]*)(\/.*)$/i);
+    if (!match) {
+      return null;
+    }
+
+    const [, scheme, host, path] = match;
+    const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const schemeSource = scheme === '*' ? 'https?' : escape(scheme);
+    let hostSource;
+    if (host === '*') {
+      hostSource = '[^/]*';
+    } else if (host.startsWith('*.')) {
+      hostSource = `([^/]*\\.)?${escape(host.substring(2))}`;
+    } else {
+      hostSource = escape(host);
+    }
+    // Ports are ignored unless the pattern names one
+    const portSource = /:\d+$/.test(host) ? '' : '(:\\d+)?';
+    const pathSource = path.split('*').map(escape).join('.*');
+
+    return new RegExp(`^${schemeSource}:\\/\\/${hostSource}${portSource}${pathSource}$`, 'i');
+  }
+
+  // Whether a theme targets every site rather than specific ones
+  static isUniversalTheme(theme) {
+    return this.getUrlRules(theme).include.length === 0;
+  }
+
+  // Whether a theme is switched on as a layer. Without an explicit enabled flag,
+  // site-specific themes are layered on the sites they target and universal
+  // themes are not, so they only apply as the default theme
+  static isLayerEnabled(theme) {
+    if (typeof theme.enabled === 'boolean') {
+      return theme.enabled;
+    }
+    return !this.isUniversalTheme(theme);
+  }
+
+  // Returns themes in user-defined priority order, highest priority first.
+  // Themes missing from the order go last, oldest first
+  static getOrderedThemes(themes, themeOrder) {
+    const order = Array.isArray(themeOrder) ? themeOrder : [];
+    const ordered = order.filter(id => themes && themes[id]).map(id => themes[id]);
+    const unordered = Object.values(themes || {})
+      .filter(theme => !order.includes(theme.id))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    return [...ordered, ...unordered];
+  }
+
+  // Picks the themes that should be live on the given URL, in cascade order
+  // (lowest priority first, so later layers win). Every enabled layer whose URL
+  // rules match is stacked; the default theme is only used when none match
+  static resolveThemeLayers(themes, themeOrder, defaultThemeId, url) {
+    const layers = this.getOrderedThemes(themes, themeOrder)
+      .filter(theme => this.isLayerEnabled(theme) && this.getMatchScore(theme, url) >= 0);
+
+    if (layers.length === 0) {
+      const defaultTheme = themes && defaultThemeId ? themes[defaultThemeId] : null;
+      if (defaultTheme && this.getMatchScore(defaultTheme, url) >= 0) {
+        layers.push(defaultTheme);
+      }
+    }
+
+    return layers.reverse();
+  }
+
+  // Builds a blocklist entry for a whole host ('site') or for one page,
+  // which is the URL without its query and fragment ('page')
+  static createBlockEntry(type, url) {
+    const target = new URL(url);
+    return {
+      type: type,
+      value: type === 'site' ? target.hostname : target.origin + target.pathname,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Returns the blocklist entry that turns theming off on the URL, or null
+  static getBlockingEntry(blocklist, url) {
+    if (!Array.isArray(blocklist) || blocklist.length === 0) {
+      return null;
+    }
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    return blocklist.find(entry => entry.type === 'site'
+      ? entry.value === target.hostname
+      : entry.value === target.origin + target.pathname) || null;
+  }
+
+  static isBlocked(blocklist, url) {
+    return !!this.getBlockingEntry(blocklist, url);
+  }
+
+  // Helper method to convert URL pattern with wildcards to regex
+  static urlPatternToRegex(pattern) {
+    // Escape special regex characters except *
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    // Convert * to regex wildcard
+    const regexPattern = escaped.replace(/\*/g, '.*');
+    return new RegExp('^' + regexPattern + '$', 'i');
+  }
+}
+
+globalThis.ThemeResolver = ThemeResolver;
+
+}
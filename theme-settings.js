@@ -0,0 +1,119 @@
+/*
+ * Theme Engine Settings
+ * Defaults and validation for the settings edited on the options page, and
+ * the URL rules a new theme starts with.
+ * Shared by the background service worker, popup, editor and options page;
+ * needs ThemeCSSCompiler.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeSettings) {
+
+// Where a new theme applies until its URL rules are edited
+const URL_SCOPES = {
+  all: { label: 'All sites' },
+  site: { label: 'The current site and its subdomains' },
+  page: { label: 'Pages under the current URL' }
+};
+
+// Color schemes of the editor window
+const EDITOR_THEMES = {
+  dark: { label: 'Dark' },
+  light: { label: 'Light' }
+};
+
+// Allowed ranges of the numeric settings
+const AUTO_SAVE_DELAY_RANGE = { min: 100, max: 10000 };
+const EDITOR_FONT_SIZE_RANGE = { min: 10, max: 24 };
+
+const DEFAULT_SETTINGS = {
+  autoSave: true,
+  // Milliseconds after the last edit before the editor saves its draft
+  autoSaveDelay: 500,
+  theme: 'dark',
+  editorFontSize: 13,
+  // Confirmations such as "Published" or "Draft saved"; errors always show
+  enableNotifications: true,
+  defaultUrlScope: 'all',
+  defaultOverrideStrategy: ThemeCSSCompiler.DEFAULT_OVERRIDE_STRATEGY
+};
+
+class ThemeSettings {
+  static get DEFAULTS() {
+    return Object.assign({}, DEFAULT_SETTINGS);
+  }
+
+  static get URL_SCOPES() {
+    return URL_SCOPES;
+  }
+
+  static get EDITOR_THEMES() {
+    return EDITOR_THEMES;
+  }
+
+  static get AUTO_SAVE_DELAY_RANGE() {
+    return AUTO_SAVE_DELAY_RANGE;
+  }
+
+  static get EDITOR_FONT_SIZE_RANGE() {
+    return EDITOR_FONT_SIZE_RANGE;
+  }
+
+  // Returns every setting, using the default for ones that are missing or
+  // invalid, so settings saved by older versions keep working
+  static normalize(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    const clamp = (value, range, fallback) => {
+      const number = Number(value);
+      return Number.isFinite(number) ? Math.min(range.max, Math.max(range.min, Math.round(number))) : fallback;
+    };
+
+    return {
+      autoSave: typeof source.autoSave === 'boolean' ? source.autoSave : DEFAULT_SETTINGS.autoSave,
+      autoSaveDelay: clamp(source.autoSaveDelay, AUTO_SAVE_DELAY_RANGE, DEFAULT_SETTINGS.autoSaveDelay),
+      theme: EDITOR_THEMES[source.theme] ? source.theme : DEFAULT_SETTINGS.theme,
+      editorFontSize: clamp(source.editorFontSize, EDITOR_FONT_SIZE_RANGE, DEFAULT_SETTINGS.editorFontSize),
+      enableNotifications: typeof source.enableNotifications === 'boolean' ? source.enableNotifications : DEFAULT_SETTINGS.enableNotifications,
+      defaultUrlScope: URL_SCOPES[source.defaultUrlScope] ? source.defaultUrlScope : DEFAULT_SETTINGS.defaultUrlScope,
+      defaultOverrideStrategy: ThemeCSSCompiler.OVERRIDE_STRATEGIES[source.defaultOverrideStrategy]
+        ? source.defaultOverrideStrategy
+        : DEFAULT_SETTINGS.defaultOverrideStrategy
+    };
+  }
+
+  // URL rules for a theme created while url is open. Pages that aren't
+  // websites, like the new tab page, get a theme for all sites
+  static createUrlRules(scope, url) {
+    const rules = { include: [], exclude: [] };
+    let target = null;
+    try {
+      target = url ? new URL(url) : null;
+    } catch (error) {
+      target = null;
+    }
+
+    if (!target || !['http:', 'https:'].includes(target.protocol)) {
+      return rules;
+    }
+    if (scope === 'site') {
+      // The subdomain rule covers www. and the site's other hosts
+      rules.include.push({ type: 'domain', value: target.hostname.replace(/^www\./, ''), subdomains: true });
+    } else if (scope === 'page') {
+      rules.include.push({ type: 'prefix', value: target.origin + target.pathname });
+    }
+    return rules;
+  }
+
+  // Reads the settings through the background, falling back to the defaults
+  static load() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getSettings' }, (settings) => {
+        resolve(this.normalize(chrome.runtime.lastError ? null : settings));
+      });
+    });
+  }
+}
+
+globalThis.ThemeSettings = ThemeSettings;
+
+}
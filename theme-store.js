@@ -0,0 +1,350 @@
+/*
+ * Theme Engine Theme Store
+ * Owns the stored themes, their priority order and the default theme.
+ * Used by the background service worker, which answers the popup's and
+ * editor's theme messages with it; needs ThemeResolver, ThemeHistory,
+ * ThemeMigrations, ThemeBackup and ThemeSettings.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeStore) {
+
+// Theme fields callers may set; ids, timestamps and revisions are kept by the store
+const EDITABLE_FIELDS = ['name', 'description', 'urlRules', 'css', 'overrideStrategy', 'enabled'];
+
+// Themes a new install starts with
+const DEFAULT_THEMES = [
+  {
+    id: 'theme2',
+    name: 'Google theme',
+    description: 'Custom styling for Google search',
+    urlRules: { include: [{ type: 'domain', value: 'google.com', subdomains: true }], exclude: [] },
+    css: '--bg-button: #4285f4;\n--text-color: #202124;'
+  },
+  {
+    id: 'theme1',
+    name: 'My first theme',
+    description: 'A simple theme for demonstration',
+    urlRules: { include: [{ type: 'domain', value: 'example.com', subdomains: true }], exclude: [] },
+    css: '--black: #000;\n--text-color: var(--black);'
+  },
+  {
+    id: 'theme3',
+    name: 'Universal dark theme',
+    description: 'Dark theme for all websites',
+    urlRules: { include: [], exclude: [] },
+    css: '--bg-header: #1a1a1a;\n--text-color: #ffffff;'
+  }
+];
+
+class ThemeStore {
+  constructor(storage = chrome.storage.local) {
+    this.storage = storage;
+    this.queue = Promise.resolve();
+    this.migration = null;
+  }
+
+  // Upgrades stored data once per service worker start, before the first
+  // read or write, in case it wasn't done when the extension was updated
+  migrate() {
+    if (!this.migration) {
+      this.migration = ThemeMigrations.run(this.storage).catch((error) => {
+        console.error('Theme Engine: Storage migration failed:', error);
+        return { migrated: false, error: error.message };
+      });
+    }
+    return this.migration;
+  }
+
+  // Runs storage operations one at a time, after any pending migration
+  enqueue(operation) {
+    const next = this.queue.then(async () => {
+      await this.migrate();
+      return operation();
+    });
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  // Runs a read-modify-write operation in the queue, so two surfaces saving
+  // at once can't overwrite each other's changes. The update receives the
+  // stored values and returns { changes, result }; changes are written back
+  transaction(keys, update) {
+    return this.enqueue(async () => {
+      const data = await this.storage.get(keys);
+      const { changes, result } = update(data);
+      if (changes) {
+        await this.storage.set(changes);
+      }
+      return result;
+    });
+  }
+
+  // Returns { themes, themeOrder, currentThemeId }, creating the default themes on first use
+  list() {
+    return this.transaction(['themes', 'themeOrder', 'currentThemeId'], (data) => {
+      if (!data.themes) {
+        const now = new Date().toISOString();
+        const themes = {};
+        DEFAULT_THEMES.forEach(theme => {
+          themes[theme.id] = Object.assign({}, theme, { createdAt: now, updatedAt: now, revision: 1 });
+        });
+        const changes = {
+          themes,
+          themeOrder: DEFAULT_THEMES.map(theme => theme.id),
+          currentThemeId: 'theme1',
+          schemaVersion: ThemeMigrations.CURRENT_SCHEMA_VERSION
+        };
+        return { changes, result: { themes, themeOrder: changes.themeOrder, currentThemeId: changes.currentThemeId } };
+      }
+
+      const themeOrder = ThemeResolver.getOrderedThemes(data.themes, data.themeOrder).map(theme => theme.id);
+      const currentThemeId = data.themes[data.currentThemeId] ? data.currentThemeId : themeOrder[0];
+      return { result: { themes: data.themes, themeOrder, currentThemeId } };
+    });
+  }
+
+  // Adds a theme at the top of the priority order. The given id and timestamps
+  // are kept, e.g. for imports, unless the id is already taken. Themes created
+  // without an override strategy get the one chosen in the settings
+  create(fields, options = {}) {
+    return this.transaction(['themes', 'themeOrder', 'currentThemeId', 'settings'], (data) => {
+      const themes = data.themes || {};
+      const now = new Date().toISOString();
+
+      let id = fields.id && !themes[fields.id] ? fields.id : 'theme_' + Date.now();
+      while (themes[id]) {
+        id = 'theme_' + Date.now() + '_' + Math.floor(Math.random() * 1000);
+      }
+
+      const theme = this.applyPatch({ id }, fields);
+      theme.overrideStrategy = theme.overrideStrategy || ThemeSettings.normalize(data.settings).defaultOverrideStrategy;
+      theme.createdAt = fields.createdAt || now;
+      theme.updatedAt = fields.updatedAt || now;
+      theme.revision = 1;
+      themes[id] = theme;
+
+      const themeOrder = ThemeResolver.getOrderedThemes(themes, data.themeOrder).map(item => item.id).filter(item => item !== id);
+      themeOrder.unshift(id);
+
+      const changes = { themes, themeOrder };
+      if (options.activate || !themes[data.currentThemeId]) {
+        changes.currentThemeId = id;
+      }
+      return { changes, result: { theme } };
+    });
+  }
+
+  // Sets the patched fields of a theme and leaves the others as stored; a
+  // field set to null is removed. When a revision is given and the stored
+  // theme has moved past it, nothing is written and a conflict is reported
+  update(id, patch, revision) {
+    return this.transaction(['themes'], (data) => {
+      const themes = data.themes || {};
+      const current = this.getTheme(themes, id);
+      this.checkRevision(current, revision);
+
+      const theme = this.applyPatch(Object.assign({}, current), patch);
+      theme.updatedAt = new Date().toISOString();
+      theme.revision = (current.revision || 0) + 1;
+      themes[id] = theme;
+
+      return { changes: { themes }, result: { theme } };
+    });
+  }
+
+  // Removes a theme with its draft and revision history, after taking a snapshot
+  delete(id, revision) {
+    return this.transaction([...ThemeBackup.BACKUP_KEYS, 'revisions', 'snapshots'], (data) => {
+      const themes = data.themes || {};
+      this.checkRevision(this.getTheme(themes, id), revision);
+
+      if (Object.keys(themes).length <= 1) {
+        throw new Error('Cannot delete the last theme. Please create another theme first.');
+      }
+
+      const snapshots = ThemeBackup.addSnapshot(data, `Before deleting "${themes[id].name}"`);
+      delete themes[id];
+      const drafts = data.drafts || {};
+      const revisions = data.revisions || {};
+      delete drafts[id];
+      delete revisions[id];
+
+      const themeOrder = ThemeResolver.getOrderedThemes(themes, data.themeOrder).map(theme => theme.id);
+      const currentThemeId = themes[data.currentThemeId] ? data.currentThemeId : themeOrder[0];
+
+      return {
+        changes: { themes, themeOrder, currentThemeId, drafts, revisions, snapshots },
+        result: { themeOrder, currentThemeId }
+      };
+    });
+  }
+
+  // Saves or, when draft is null, removes a theme's unpublished draft and adds
+  // the given revision to its history. The baseline revision, the published
+  // version, goes in first when the theme has no history yet. Fails when the
+  // theme is gone, so a late save can't bring back a deleted theme's draft
+  saveDraft(id, draft, revision, baseline) {
+    return this.transaction(['themes', 'drafts', 'revisions'], (data) => {
+      this.getTheme(data.themes || {}, id);
+      const drafts = data.drafts || {};
+      const revisions = data.revisions || {};
+
+      if (draft) {
+        drafts[id] = draft;
+      } else {
+        delete drafts[id];
+      }
+
+      let history = revisions[id] || [];
+      if (revision) {
+        if (baseline && history.length === 0) {
+          history = ThemeHistory.addRevision(history, baseline);
+        }
+        history = ThemeHistory.addRevision(history, revision);
+        revisions[id] = history;
+      }
+
+      return { changes: { drafts, revisions }, result: { revisions: history } };
+    });
+  }
+
+  // Returns a backup bundle of every theme and setting
+  backup() {
+    return this.transaction(ThemeBackup.BACKUP_KEYS, (data) => ({ result: { bundle: ThemeBackup.createBundle(data) } }));
+  }
+
+  // Restores a backup bundle, or the snapshot with the given id, in 'merge' or
+  // 'replace' mode (see ThemeBackup.planRestore). A snapshot is taken first, so
+  // the restore can be undone. With dryRun nothing is written and the summary
+  // of what would change is returned
+  restore(source, mode, dryRun = false) {
+    return this.transaction([...ThemeBackup.BACKUP_KEYS, 'revisions', 'snapshots'], (data) => {
+      let bundle = source.bundle;
+      if (source.snapshotId) {
+        const snapshot = (data.snapshots || []).find(item => item.id === source.snapshotId);
+        if (!snapshot) {
+          throw new Error('Snapshot not found');
+        }
+        bundle = snapshot.bundle;
+      }
+
+      const parsed = ThemeBackup.parse(bundle);
+      if (parsed.errors.length > 0) {
+        throw new Error(parsed.errors.join('\n'));
+      }
+
+      const plan = ThemeBackup.planRestore(data, parsed.data, mode === 'replace' ? 'replace' : 'merge');
+      if (dryRun) {
+        return { result: { summary: plan.summary } };
+      }
+
+      plan.changes.snapshots = ThemeBackup.addSnapshot(data, 'Before restoring a backup');
+      return { changes: plan.changes, result: { summary: plan.summary } };
+    });
+  }
+
+  listSnapshots() {
+    return this.transaction(['snapshots'], (data) => ({ result: { snapshots: ThemeBackup.describeSnapshots(data.snapshots) } }));
+  }
+
+  // Clears all stored data except the snapshots, after adding one of the data being cleared
+  clear() {
+    return this.enqueue(async () => {
+      const data = await this.storage.get([...ThemeBackup.BACKUP_KEYS, 'snapshots']);
+      const snapshots = ThemeBackup.addSnapshot(data, 'Before clearing all data');
+      await this.storage.clear();
+      await this.storage.set({ snapshots });
+      return {};
+    });
+  }
+
+  // Changes the given settings and returns all of them, invalid values replaced by defaults
+  updateSettings(patch) {
+    return this.transaction(['settings'], (data) => {
+      const settings = ThemeSettings.normalize(Object.assign({}, data.settings, patch));
+      return { changes: { settings }, result: { settings } };
+    });
+  }
+
+  // Makes a theme the default, used on sites no enabled layer targets
+  setActive(id) {
+    return this.transaction(['themes'], (data) => {
+      this.getTheme(data.themes || {}, id);
+      return { changes: { currentThemeId: id }, result: { currentThemeId: id } };
+    });
+  }
+
+  // Stores a new priority order, highest priority first
+  setOrder(order) {
+    return this.transaction(['themes'], (data) => {
+      const themeOrder = ThemeResolver.getOrderedThemes(data.themes || {}, order).map(theme => theme.id);
+      return { changes: { themeOrder }, result: { themeOrder } };
+    });
+  }
+
+  // Saves themes merged in from another device as they are, keeping their
+  // timestamps, and deletes the ones deleted there. The last theme is never
+  // deleted. Local revisions still go up, so open editors notice the change
+  applySynced(syncedThemes, removedIds) {
+    return this.transaction(['themes', 'themeOrder', 'currentThemeId', 'drafts', 'revisions'], (data) => {
+      const themes = data.themes || {};
+      const drafts = data.drafts || {};
+      const revisions = data.revisions || {};
+
+      syncedThemes.forEach(theme => {
+        const current = themes[theme.id];
+        themes[theme.id] = Object.assign({}, theme, { revision: ((current && current.revision) || 0) + 1 });
+      });
+      removedIds.filter(id => themes[id]).forEach(id => {
+        if (Object.keys(themes).length > 1) {
+          delete themes[id];
+          delete drafts[id];
+          delete revisions[id];
+        }
+      });
+
+      const themeOrder = ThemeResolver.getOrderedThemes(themes, data.themeOrder).map(theme => theme.id);
+      const currentThemeId = themes[data.currentThemeId] ? data.currentThemeId : themeOrder[0];
+
+      return {
+        changes: { themes, themeOrder, currentThemeId, drafts, revisions },
+        result: { themes }
+      };
+    });
+  }
+
+  getTheme(themes, id) {
+    if (!id || !themes[id]) {
+      throw new Error('Theme not found');
+    }
+    return themes[id];
+  }
+
+  // Themes saved before the store existed have no revision and count as 0
+  checkRevision(theme, revision) {
+    if (revision !== undefined && revision !== null && revision !== (theme.revision || 0)) {
+      throw Object.assign(new Error('The theme was changed somewhere else'), { conflict: true, theme });
+    }
+  }
+
+  applyPatch(theme, patch) {
+    EDITABLE_FIELDS.filter(field => patch[field] !== undefined).forEach(field => {
+      if (patch[field] === null) {
+        delete theme[field];
+      } else {
+        theme[field] = patch[field];
+      }
+    });
+
+    // Rule lists replace the single website URL older themes were saved with
+    if (patch.urlRules) {
+      delete theme.websiteUrl;
+    }
+    return theme;
+  }
+}
+
+globalThis.ThemeStore = ThemeStore;
+
+}
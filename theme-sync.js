@@ -0,0 +1,349 @@
+/*
+ * Theme Engine Theme Sync
+ * Mirrors the stored themes to chrome.storage.sync so they follow the user
+ * to their other devices, and merges in the themes saved there.
+ * Used by the background service worker; needs ThemeStore.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.ThemeSync) {
+
+// Sync storage layout: an index of every theme's updatedAt and chunk count,
+// plus each theme's JSON split across numbered chunk keys
+const SYNC_INDEX_KEY = 'syncIndex';
+const SYNC_CHUNK_PREFIX = 'syncTheme:';
+
+// chrome.storage.sync limits, with room left in each item for its key and quoting
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192 - 256;
+const SYNC_MAX_ITEMS = 512;
+
+// Changes are gathered for a moment before syncing, to stay under the write rate limits
+const SYNC_DELAY = 2000;
+
+// Deleted themes are remembered this long so other devices delete them too
+const TOMBSTONE_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+const MAX_CONFLICTS = 10;
+
+// Fields that make up a theme's content; the local revision counter isn't synced
+const SYNCED_FIELDS = ['id', 'name', 'description', 'urlRules', 'css', 'overrideStrategy', 'enabled', 'createdAt', 'updatedAt'];
+
+class ThemeSync {
+  constructor(store, storage = { local: chrome.storage.local, sync: chrome.storage.sync }) {
+    this.store = store;
+    this.local = storage.local;
+    this.sync = storage.sync;
+    this.timer = null;
+    this.running = null;
+    this.rerun = false;
+  }
+
+  // Returns the local sync state: { enabled, lastSynced, lastSyncAt, error, conflicts, bytesInUse },
+  // where lastSynced maps theme ids to the updatedAt both sides agreed on at the last sync
+  async getState() {
+    const data = await this.local.get('syncState');
+    return Object.assign({
+      enabled: false,
+      lastSynced: {},
+      lastSyncAt: null,
+      error: null,
+      conflicts: [],
+      bytesInUse: 0
+    }, data.syncState);
+  }
+
+  async setState(changes) {
+    const state = Object.assign(await this.getState(), changes);
+    await this.local.set({ syncState: state });
+    return state;
+  }
+
+  async setEnabled(enabled) {
+    // Turning sync back on starts over, so nothing is taken as deleted on either side
+    await this.setState({ enabled: !!enabled, lastSynced: {}, error: null, conflicts: [] });
+    if (enabled) {
+      await this.run();
+    }
+    return this.getState();
+  }
+
+  dismissConflicts() {
+    return this.setState({ conflicts: [] });
+  }
+
+  // Syncs shortly after local themes or the synced copy change
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.run(), SYNC_DELAY);
+  }
+
+  // Runs one sync at a time; changes made during a sync get another one after it
+  run() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = this.syncThemes().finally(() => {
+      this.running = null;
+      if (this.rerun) {
+        this.rerun = false;
+        this.schedule();
+      }
+    });
+    return this.running;
+  }
+
+  async syncThemes() {
+    const state = await this.getState();
+    if (!state.enabled) {
+      return;
+    }
+
+    try {
+      const remote = await this.readRemote();
+      const { themes } = await this.store.list();
+      const merge = this.merge(themes, remote, state.lastSynced);
+
+      if (merge.pull.length > 0 || merge.remove.length > 0) {
+        await this.store.applySynced(merge.pull, merge.remove);
+      }
+      const bytesInUse = await this.writeRemote(remote, merge);
+
+      await this.setState({
+        lastSynced: merge.synced,
+        lastSyncAt: new Date().toISOString(),
+        error: null,
+        conflicts: [...merge.conflicts, ...state.conflicts].slice(0, MAX_CONFLICTS),
+        bytesInUse: bytesInUse
+      });
+    } catch (error) {
+      console.error('Theme Engine: Sync failed:', error);
+      const isQuota = /QUOTA|MAX_ITEMS|MAX_WRITE/i.test(error.message);
+      await this.setState({
+        error: { type: isQuota ? 'quota' : 'error', message: error.message, at: new Date().toISOString() }
+      });
+    }
+  }
+
+  // Reads the synced themes. Returns { index, items, themes }, where themes only
+  // holds themes whose chunks have all arrived for the indexed updatedAt
+  async readRemote() {
+    const items = await this.sync.get(null);
+    const index = items[SYNC_INDEX_KEY] || { themes: {} };
+    const themes = {};
+
+    Object.keys(index.themes).forEach(id => {
+      const entry = index.themes[id];
+      if (entry.deleted) {
+        return;
+      }
+
+      try {
+        let json = '';
+        for (let i = 0; i < entry.chunks; i++) {
+          json += items[this.getChunkKey(id, i)];
+        }
+        const theme = JSON.parse(json);
+        if (theme.updatedAt === entry.updatedAt) {
+          themes[id] = theme;
+        }
+      } catch (error) {
+        // Another device is still writing this theme; its next change event syncs again
+      }
+    });
+
+    return { index, items, themes };
+  }
+
+  // Decides per theme which side wins. Returns { pull, remove, push, tombstones,
+  // synced, conflicts }: themes to save locally, ids to delete locally, themes
+  // to write to sync, ids to mark deleted there, the updatedAt both sides now
+  // share, and the themes both sides changed since the last sync
+  merge(localThemes, remote, lastSynced) {
+    const result = { pull: [], remove: [], push: [], tombstones: [], synced: {}, conflicts: [] };
+    const ids = new Set([...Object.keys(localThemes), ...Object.keys(remote.index.themes)]);
+
+    ids.forEach(id => {
+      const local = localThemes[id];
+      const entry = remote.index.themes[id];
+      const remoteTheme = remote.themes[id];
+      const synced = lastSynced[id];
+
+      if (entry && !entry.deleted && !remoteTheme) {
+        // Incomplete on the sync side; leave it for the next sync
+        if (synced) {
+          result.synced[id] = synced;
+        }
+        return;
+      }
+
+      if (local && !entry) {
+        result.push.push(local);
+        result.synced[id] = local.updatedAt;
+      } else if (!local && entry && entry.deleted) {
+        return;
+      } else if (!local) {
+        if (synced && synced === remoteTheme.updatedAt) {
+          // Deleted on this device since the last sync
+          result.tombstones.push(id);
+          return;
+        }
+        if (synced) {
+          result.conflicts.push(this.createConflict(remoteTheme, 'remote', 'deleted on this device but changed on another'));
+        }
+        result.pull.push(remoteTheme);
+        result.synced[id] = remoteTheme.updatedAt;
+      } else if (entry.deleted) {
+        if (local.updatedAt === synced || (!synced && new Date(local.updatedAt) <= new Date(entry.deletedAt))) {
+          result.remove.push(id);
+          return;
+        }
+        result.conflicts.push(this.createConflict(local, 'local', 'deleted on another device but changed on this one'));
+        result.push.push(local);
+        result.synced[id] = local.updatedAt;
+      } else if (local.updatedAt === remoteTheme.updatedAt) {
+        result.synced[id] = local.updatedAt;
+      } else {
+        const localChanged = local.updatedAt !== synced;
+        const remoteChanged = remoteTheme.updatedAt !== synced;
+        const localIsNewer = new Date(local.updatedAt) > new Date(remoteTheme.updatedAt);
+        const keepLocal = localChanged && remoteChanged ? localIsNewer : localChanged;
+
+        if (localChanged && remoteChanged && !this.isSameContent(local, remoteTheme)) {
+          result.conflicts.push(this.createConflict(keepLocal ? local : remoteTheme, keepLocal ? 'local' : 'remote', 'changed on this device and another'));
+        }
+        if (keepLocal) {
+          result.push.push(local);
+        } else {
+          result.pull.push(remoteTheme);
+        }
+        result.synced[id] = keepLocal ? local.updatedAt : remoteTheme.updatedAt;
+      }
+    });
+
+    return result;
+  }
+
+  // Writes the pushed themes and tombstones, then removes chunks nothing
+  // refers to any more. Nothing is written when the result wouldn't fit the
+  // sync quotas. Resolves with the bytes the synced themes take up
+  async writeRemote(remote, merge) {
+    const now = Date.now();
+    const index = { themes: {} };
+    const items = {};
+    const changed = {};
+
+    // Keep unchanged themes and recent tombstones as they are
+    Object.keys(remote.index.themes).forEach(id => {
+      const entry = remote.index.themes[id];
+      if (entry.deleted && now - new Date(entry.deletedAt) > TOMBSTONE_LIFETIME) {
+        return;
+      }
+      index.themes[id] = entry;
+      for (let i = 0; !entry.deleted && i < entry.chunks; i++) {
+        items[this.getChunkKey(id, i)] = remote.items[this.getChunkKey(id, i)];
+      }
+    });
+
+    merge.push.forEach(theme => {
+      this.removeChunks(items, theme.id, index.themes[theme.id]);
+      const chunks = this.splitIntoChunks(JSON.stringify(this.getSyncedFields(theme)));
+      chunks.forEach((chunk, i) => {
+        items[this.getChunkKey(theme.id, i)] = chunk;
+        changed[this.getChunkKey(theme.id, i)] = chunk;
+      });
+      index.themes[theme.id] = { updatedAt: theme.updatedAt, chunks: chunks.length };
+    });
+
+    merge.tombstones.forEach(id => {
+      this.removeChunks(items, id, index.themes[id]);
+      index.themes[id] = { deleted: true, deletedAt: new Date(now).toISOString() };
+    });
+
+    items[SYNC_INDEX_KEY] = index;
+    const bytesInUse = Object.keys(items).reduce((total, key) => total + this.getItemBytes(key, items[key]), 0);
+
+    if (merge.push.length === 0 && merge.tombstones.length === 0 &&
+        Object.keys(index.themes).length === Object.keys(remote.index.themes).length) {
+      return bytesInUse;
+    }
+
+    if (bytesInUse > SYNC_QUOTA_BYTES) {
+      throw new Error(`QUOTA_BYTES: the themes need ${Math.ceil(bytesInUse / 1024)} KB of sync storage, more than the ${SYNC_QUOTA_BYTES / 1024} KB allowed`);
+    }
+    if (this.getIndexBytes(index) > SYNC_QUOTA_BYTES_PER_ITEM) {
+      throw new Error('QUOTA_BYTES_PER_ITEM: too many themes to sync');
+    }
+    if (Object.keys(items).length > SYNC_MAX_ITEMS) {
+      throw new Error(`MAX_ITEMS: the themes need more than ${SYNC_MAX_ITEMS} sync storage items`);
+    }
+
+    // Chunks go first so other devices never see an index pointing at missing chunks
+    changed[SYNC_INDEX_KEY] = index;
+    await this.sync.set(changed);
+
+    const stale = Object.keys(remote.items).filter(key => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in items));
+    if (stale.length > 0) {
+      await this.sync.remove(stale);
+    }
+    return bytesInUse;
+  }
+
+  removeChunks(items, id, entry) {
+    for (let i = 0; entry && !entry.deleted && i < entry.chunks; i++) {
+      delete items[this.getChunkKey(id, i)];
+    }
+  }
+
+  // Splits text into strings that each fit one sync storage item
+  splitIntoChunks(text) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let size = Math.min(text.length - start, SYNC_QUOTA_BYTES_PER_ITEM);
+      // Escaping and multi-byte characters make a chunk's stored size larger than its length
+      while (this.getItemBytes('', text.substr(start, size)) > SYNC_QUOTA_BYTES_PER_ITEM) {
+        size = Math.floor(size * 0.8);
+      }
+      chunks.push(text.substr(start, size));
+      start += size;
+    }
+    return chunks.length > 0 ? chunks : [''];
+  }
+
+  // Sync storage counts an item as its key plus its value's JSON, in UTF-8 bytes
+  getItemBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  getIndexBytes(index) {
+    return this.getItemBytes(SYNC_INDEX_KEY, index);
+  }
+
+  getChunkKey(id, index) {
+    return `${SYNC_CHUNK_PREFIX}${id}:${index}`;
+  }
+
+  getSyncedFields(theme) {
+    const fields = {};
+    SYNCED_FIELDS.filter(field => theme[field] !== undefined).forEach(field => {
+      fields[field] = theme[field];
+    });
+    return fields;
+  }
+
+  isSameContent(a, b) {
+    const content = theme => JSON.stringify(this.getSyncedFields(Object.assign({}, theme, { createdAt: null, updatedAt: null })));
+    return content(a) === content(b);
+  }
+
+  createConflict(theme, kept, reason) {
+    return { themeId: theme.id, name: theme.name, kept: kept, reason: reason, at: new Date().toISOString() };
+  }
+}
+
+globalThis.ThemeSync = ThemeSync;
+
+}
@@ -0,0 +1,105 @@
+/*
+ * Theme Engine Undo Manager
+ * Undo/redo stack of editor states with cursor and selection.
+ * Used by the theme editor.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.UndoManager) {
+
+class UndoManager {
+  // Typing within groupDelay of the previous keystroke, continuing where the
+  // cursor was left, is merged into one undo step
+  constructor(options = {}) {
+    this.limit = options.limit || 200;
+    this.groupDelay = options.groupDelay || 1000;
+    this.reset({ value: '', selectionStart: 0, selectionEnd: 0 });
+  }
+
+  // Starts a fresh history at the given state, e.g. after loading a theme
+  reset(state) {
+    this.entries = [{ state: this.copyState(state), before: null, kind: 'reset', time: 0 }];
+    this.index = 0;
+  }
+
+  copyState(state) {
+    return {
+      value: state.value,
+      selectionStart: state.selectionStart,
+      selectionEnd: state.selectionEnd
+    };
+  }
+
+  // Records the state after an edit. `before` is the selection just before
+  // the edit and `kind` is 'typing' for keystrokes or anything else for edits
+  // that always get their own step
+  record(state, before, kind = 'edit') {
+    const current = this.entries[this.index];
+    if (state.value === current.state.value) {
+      return;
+    }
+
+    const now = Date.now();
+    const selectionBefore = before || {
+      selectionStart: current.state.selectionStart,
+      selectionEnd: current.state.selectionEnd
+    };
+
+    // Anything that was undone can no longer be redone once a new edit is made
+    this.entries.splice(this.index + 1);
+
+    const continuesTyping = kind === 'typing' && current.kind === 'typing' &&
+      now - current.time < this.groupDelay &&
+      selectionBefore.selectionStart === current.state.selectionStart &&
+      selectionBefore.selectionEnd === current.state.selectionEnd;
+
+    if (continuesTyping) {
+      current.state = this.copyState(state);
+      current.time = now;
+      return;
+    }
+
+    this.entries.push({ state: this.copyState(state), before: selectionBefore, kind, time: now });
+
+    if (this.entries.length > this.limit + 1) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length - 1;
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  // Returns the state to restore, with the selection as it was before the undone edit
+  undo() {
+    if (!this.canUndo()) {
+      return null;
+    }
+
+    const undone = this.entries[this.index];
+    this.index--;
+    // Typing after an undo starts a new step instead of extending the restored one
+    this.entries[this.index].time = 0;
+    return Object.assign(this.copyState(this.entries[this.index].state), undone.before);
+  }
+
+  redo() {
+    if (!this.canRedo()) {
+      return null;
+    }
+
+    this.index++;
+    const entry = this.entries[this.index];
+    entry.time = 0;
+    return this.copyState(entry.state);
+  }
+}
+
+globalThis.UndoManager = UndoManager;
+
+}
@@ -0,0 +1,255 @@
+/*
+ * Theme Engine URL Rules Editor
+ * Edits a theme's include/exclude URL rules and tests them against a URL.
+ * Shared by the popup's theme modal and the theme editor.
+ */
+
+// Prevent redeclaration when the script is loaded more than once
+if (!globalThis.UrlRulesEditor) {
+
+class UrlRulesEditor {
+  constructor(container) {
+    this.container = container;
+    this.rules = { include: [], exclude: [] };
+    this.changeListeners = [];
+
+    this.list = document.createElement('div');
+    this.list.className = 'url-rules-list';
+
+    const actions = document.createElement('div');
+    actions.className = 'url-rules-actions';
+    actions.appendChild(this.createButton('+ Include', 'Apply the theme where this rule matches', () => this.addRule('include')));
+    actions.appendChild(this.createButton('+ Exclude', 'Never apply the theme where this rule matches', () => this.addRule('exclude')));
+
+    const test = document.createElement('div');
+    test.className = 'url-rules-test';
+    this.testInput = document.createElement('input');
+    this.testInput.type = 'text';
+    this.testInput.className = 'url-rules-input';
+    this.testInput.placeholder = 'Test against URL, e.g. https://example.com/page';
+    this.testInput.addEventListener('input', () => this.updateTestResult());
+    this.testResult = document.createElement('div');
+    this.testResult.className = 'url-rules-result';
+    test.appendChild(this.testInput);
+    test.appendChild(this.testResult);
+
+    this.container.classList.add('url-rules');
+    this.container.appendChild(this.list);
+    this.container.appendChild(actions);
+    this.container.appendChild(test);
+
+    this.render();
+  }
+
+  createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'url-rules-button';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Loads rules in the { include, exclude } shape from ThemeResolver.getUrlRules()
+  setRules(rules) {
+    this.rules = {
+      include: (rules.include || []).map(rule => Object.assign({}, rule)),
+      exclude: (rules.exclude || []).map(rule => Object.assign({}, rule))
+    };
+    this.render();
+  }
+
+  // Returns the rules with empty rows left out
+  getRules() {
+    const clean = rules => rules
+      .filter(rule => rule.value.trim())
+      .map(rule => ThemeResolver.normalizeRule(rule));
+    return { include: clean(this.rules.include), exclude: clean(this.rules.exclude) };
+  }
+
+  // Whether any filled-in rule is invalid
+  hasErrors() {
+    return [...this.rules.include, ...this.rules.exclude]
+      .some(rule => rule.value.trim() && ThemeResolver.validateRule(ThemeResolver.normalizeRule(rule)));
+  }
+
+  setTestUrl(url) {
+    this.testInput.value = url || '';
+    this.updateTestResult();
+  }
+
+  onChange(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  notifyChange() {
+    this.updateTestResult();
+    this.changeListeners.forEach(listener => listener(this.getRules()));
+  }
+
+  addRule(kind) {
+    this.rules[kind].push({ type: kind === 'include' ? 'domain' : 'prefix', value: '', subdomains: true });
+    this.render();
+    const inputs = this.list.querySelectorAll(`.url-rule[data-kind="${kind}"] .url-rules-input`);
+    if (inputs.length > 0) {
+      inputs[inputs.length - 1].focus();
+    }
+  }
+
+  removeRule(kind, index) {
+    this.rules[kind].splice(index, 1);
+    this.render();
+    this.notifyChange();
+  }
+
+  render() {
+    this.list.innerHTML = '';
+
+    ['include', 'exclude'].forEach(kind => {
+      this.rules[kind].forEach((rule, index) => {
+        this.list.appendChild(this.createRuleRow(kind, rule, index));
+      });
+    });
+
+    if (this.rules.include.length === 0 && this.rules.exclude.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'url-rules-empty';
+      empty.textContent = 'No rules: the theme applies to all sites';
+      this.list.appendChild(empty);
+    }
+
+    this.updateTestResult();
+  }
+
+  createRuleRow(kind, rule, index) {
+    const row = document.createElement('div');
+    row.className = `url-rule ${kind}`;
+    row.dataset.kind = kind;
+
+    const kindLabel = document.createElement('span');
+    kindLabel.className = 'url-rule-kind';
+    kindLabel.textContent = kind === 'include' ? 'Include' : 'Exclude';
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'url-rules-select';
+    Object.keys(ThemeResolver.RULE_TYPES).forEach(type => {
+      typeSelect.appendChild(new Option(ThemeResolver.RULE_TYPES[type].label, type));
+    });
+    typeSelect.value = rule.type;
+
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.className = 'url-rules-input';
+    valueInput.value = rule.value;
+    valueInput.placeholder = this.getPlaceholder(rule.type);
+
+    const subdomainsLabel = document.createElement('label');
+    subdomainsLabel.className = 'url-rule-subdomains';
+    subdomainsLabel.title = 'Also match subdomains';
+    const subdomainsInput = document.createElement('input');
+    subdomainsInput.type = 'checkbox';
+    subdomainsInput.checked = !!rule.subdomains;
+    subdomainsLabel.appendChild(subdomainsInput);
+    subdomainsLabel.appendChild(document.createTextNode('subdomains'));
+    subdomainsLabel.style.display = rule.type === 'domain' ? '' : 'none';
+
+    const ignoreCaseLabel = document.createElement('label');
+    ignoreCaseLabel.className = 'url-rule-ignore-case';
+    ignoreCaseLabel.title = 'Match upper and lower case letters alike';
+    const ignoreCaseInput = document.createElement('input');
+    ignoreCaseInput.type = 'checkbox';
+    ignoreCaseInput.checked = !!rule.ignoreCase;
+    ignoreCaseLabel.appendChild(ignoreCaseInput);
+    ignoreCaseLabel.appendChild(document.createTextNode('ignore case'));
+    ignoreCaseLabel.style.display = rule.type === 'regex' ? '' : 'none';
+
+    const removeButton = this.createButton('×', 'Remove rule', () => this.removeRule(kind, index));
+    removeButton.classList.add('url-rule-remove');
+
+    const showValidation = () => {
+      const error = rule.value.trim() ? ThemeResolver.validateRule(ThemeResolver.normalizeRule(rule)) : null;
+      row.classList.toggle('invalid', !!error);
+      valueInput.title = error || '';
+    };
+
+    typeSelect.addEventListener('change', () => {
+      rule.type = typeSelect.value;
+      valueInput.placeholder = this.getPlaceholder(rule.type);
+      subdomainsLabel.style.display = rule.type === 'domain' ? '' : 'none';
+      ignoreCaseLabel.style.display = rule.type === 'regex' ? '' : 'none';
+      showValidation();
+      this.notifyChange();
+    });
+
+    valueInput.addEventListener('input', () => {
+      rule.value = valueInput.value;
+      showValidation();
+      this.notifyChange();
+    });
+
+    subdomainsInput.addEventListener('change', () => {
+      rule.subdomains = subdomainsInput.checked;
+      this.notifyChange();
+    });
+
+    ignoreCaseInput.addEventListener('change', () => {
+      rule.ignoreCase = ignoreCaseInput.checked;
+      this.notifyChange();
+    });
+
+    row.appendChild(kindLabel);
+    row.appendChild(typeSelect);
+    row.appendChild(valueInput);
+    row.appendChild(subdomainsLabel);
+    row.appendChild(ignoreCaseLabel);
+    row.appendChild(removeButton);
+    showValidation();
+    return row;
+  }
+
+  getPlaceholder(type) {
+    const placeholders = {
+      domain: 'example.com',
+      prefix: 'https://example.com/docs/',
+      match: '*://*.example.com/*',
+      regex: '^https://example\\.com/(a|b)/'
+    };
+    return placeholders[type];
+  }
+
+  // Shows whether the test URL gets the theme and which rule decided it
+  updateTestResult() {
+    const url = this.testInput.value.trim();
+    this.testResult.className = 'url-rules-result';
+
+    if (!url) {
+      this.testResult.textContent = '';
+      return;
+    }
+
+    try {
+      new URL(url);
+    } catch (error) {
+      this.testResult.textContent = 'Enter a full URL, including https://';
+      return;
+    }
+
+    const result = ThemeResolver.evaluateUrlRules({ urlRules: this.getRules() }, url);
+    this.testResult.classList.add(result.matches ? 'matches' : 'no-match');
+
+    if (result.excluded) {
+      this.testResult.textContent = `✗ Excluded by ${ThemeResolver.describeRule(result.rule)}`;
+    } else if (result.rule) {
+      this.testResult.textContent = `✓ Matches ${ThemeResolver.describeRule(result.rule)}`;
+    } else if (result.matches) {
+      this.testResult.textContent = '✓ Matches: no include rules, so all sites';
+    } else {
+      this.testResult.textContent = '✗ No include rule matches';
+    }
+  }
+}
+
+globalThis.UrlRulesEditor = UrlRulesEditor;
+
+}